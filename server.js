@@ -6,6 +6,15 @@
  * Filter by support level.
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const os = require('os');
+const { EventEmitter } = require('events');
 const express = require('express');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
@@ -13,479 +22,5956 @@ const { ethers } = require('ethers');
 
 const app = express();
 app.use(cors());
-app.use(express.json());
 
-// Storage
-const projects = new Map();     // Projects in registry
-const signals = new Map();      // Support signals
+// Bulk routes (snapshot restore, project import) parse their own, larger bodies
+const SNAPSHOT_RESTORE_PATH = '/admin/snapshot/restore';
+const IMPORT_PATH = '/projects/import';
+const jsonBody = express.json();
+app.use((req, res, next) => ([SNAPSHOT_RESTORE_PATH, IMPORT_PATH].includes(req.path) ? next() : jsonBody(req, res, next)));
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+// Adapters load the full dataset ({ meta, collections }) and save it as JSON.
+// The Store keeps it in memory and hands out Map-like collections. Alongside
+// it keeps every record's JSON as of the last commit: a commit re-serializes
+// only the records it wrote, a failed transaction restores just those, and
+// saves are assembled from the stored JSON, batched and written off the
+// request path. Every record a transaction changes must go through set().
+
+const STORAGE_SAVE_DELAY_MS = parseInt(process.env.STORAGE_SAVE_DELAY_MS) || 200;
+
+class MemoryAdapter {
+  get persistent() { return false; }
+  load() { return null; }
+  save() {}
+  saveSync() {}
+}
+
+class FileAdapter {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.writing = Promise.resolve();
+  }
+
+  get persistent() { return true; }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return null;
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+
+  // Write to a temp file and rename so a crash never leaves a torn file;
+  // writes are queued so an older one never lands after a newer one
+  save(json) {
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmp, json);
+        await fs.promises.rename(tmp, this.filePath);
+      })
+      .catch(err => console.error(`[STORAGE] save to ${this.filePath} failed:`, err.message));
+    return this.writing;
+  }
+
+  // For process exit, when queued writes will never finish
+  saveSync(json) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.exit.tmp`;
+    fs.writeFileSync(tmp, json);
+    fs.renameSync(tmp, this.filePath);
+  }
+}
+
+const storageAdapters = {
+  memory: () => new MemoryAdapter(),
+  file: () => new FileAdapter(process.env.STORAGE_PATH ||
+    (process.env.VERCEL ? '/tmp/registry.json' : path.join(__dirname, 'data', 'registry.json')))
+};
+
+// Schema migrations, applied in order on load. Append only - never edit a
+// migration that has shipped.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'projects, signals and nonces collections',
+    up: data => {
+      ['projects', 'signals', 'nonces'].forEach(name => {
+        data.collections[name] = data.collections[name] || {};
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'voice credits and quadratic score',
+    up: data => {
+      Object.values(data.collections.signals).forEach(s => {
+        s.credits = s.credits ?? s.amount;
+        s.votes = s.votes ?? Math.sqrt(s.amount);
+        s.epoch = s.epoch ?? null;
+        s.epochVotes = s.epochVotes ?? 0;
+      });
+      Object.values(data.collections.projects).forEach(p => {
+        p.quadraticScore = Object.values(data.collections.signals)
+          .filter(s => s.projectId === p.id)
+          .reduce((sum, s) => sum + s.votes, 0);
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'timestamped signal events',
+    up: data => {
+      data.collections.signalEvents = data.collections.signalEvents || {};
+      // Best effort backfill: one event per existing signal at its creation time
+      Object.values(data.collections.signals).forEach(s => {
+        const id = `backfill-${s.id}`;
+        data.collections.signalEvents[id] = {
+          id,
+          signalId: s.id,
+          projectId: s.projectId,
+          address: s.address,
+          type: 'add',
+          amount: s.amount,
+          votes: s.votes,
+          createdAt: s.createdAt
+        };
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'project revisions',
+    up: data => {
+      data.collections.revisions = data.collections.revisions || {};
+      // Existing projects start their history at their current state
+      Object.values(data.collections.projects).forEach(p => {
+        const id = `backfill-${p.id}`;
+        data.collections.revisions[id] = {
+          id,
+          projectId: p.id,
+          number: 1,
+          author: p.owner,
+          createdAt: p.updatedAt,
+          changedFields: [],
+          rollbackOf: null,
+          snapshot: {
+            name: p.name,
+            description: p.description,
+            url: p.url,
+            logo: p.logo,
+            category: p.category,
+            tags: [...p.tags]
+          }
+        };
+        p.revision = 1;
+      });
+      Object.values(data.collections.signals).forEach(s => {
+        s.revision = s.revision ?? null;
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'flags, moderation log and project status',
+    up: data => {
+      data.collections.flags = data.collections.flags || {};
+      data.collections.moderationLog = data.collections.moderationLog || {};
+      Object.values(data.collections.projects).forEach(p => {
+        p.status = p.status || 'active';
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'webhook subscriptions and deliveries',
+    up: data => {
+      data.collections.webhooks = data.collections.webhooks || {};
+      data.collections.webhookDeliveries = data.collections.webhookDeliveries || {};
+    }
+  },
+  {
+    version: 7,
+    description: 'project maintainers and invitations',
+    up: data => {
+      data.collections.maintainerInvites = data.collections.maintainerInvites || {};
+      Object.values(data.collections.projects).forEach(p => {
+        p.maintainers = p.maintainers || [{ address: p.owner, role: 'owner', addedAt: p.createdAt }];
+      });
+    }
+  },
+  {
+    version: 8,
+    description: 'curated collections',
+    up: data => {
+      data.collections.curations = data.collections.curations || {};
+    }
+  },
+  {
+    version: 9,
+    description: 'rate-limit counters',
+    up: data => {
+      data.collections.rateLimits = data.collections.rateLimits || {};
+    }
+  },
+  {
+    version: 10,
+    description: 'lowercase, de-duplicated project tags',
+    up: data => {
+      Object.values(data.collections.projects).forEach(p => {
+        p.tags = Array.from(new Set((p.tags || []).map(t => String(t).trim().toLowerCase()).filter(Boolean)));
+      });
+    }
+  },
+  {
+    version: 11,
+    description: 'funding rounds',
+    up: data => {
+      data.collections.rounds = data.collections.rounds || {};
+    }
+  },
+  {
+    version: 12,
+    description: 'domain and GitHub verification',
+    up: data => {
+      data.collections.verifications = data.collections.verifications || {};
+      Object.values(data.collections.projects).forEach(p => {
+        p.verified = p.verified || false;
+        p.linkedAccounts = p.linkedAccounts || {};
+      });
+    }
+  },
+  {
+    version: 13,
+    description: 'Merkle snapshots',
+    up: data => {
+      data.collections.snapshots = data.collections.snapshots || {};
+    }
+  },
+  {
+    version: 14,
+    description: 'signal delegation',
+    up: data => {
+      data.collections.delegations = data.collections.delegations || {};
+      Object.values(data.collections.projects).forEach(p => {
+        p.delegatedSignal = p.delegatedSignal || 0;
+        p.delegatedVotes = p.delegatedVotes || 0;
+      });
+    }
+  },
+  {
+    version: 15,
+    description: 'rate-limit counters move to memory',
+    up: data => {
+      delete data.collections.rateLimits;
+    }
+  },
+  {
+    version: 16,
+    description: 'signing nonces move to memory',
+    up: data => {
+      delete data.collections.nonces;
+    }
+  },
+  {
+    version: 17,
+    description: 'delegated weight is derived, not stored on projects',
+    up: data => {
+      const projects = data.collections.projects;
+      Object.values(projects).forEach(p => {
+        p.totalSignal = 0;
+        p.quadraticScore = 0;
+        delete p.delegatedSignal;
+        delete p.delegatedVotes;
+      });
+      Object.values(data.collections.signals).forEach(s => {
+        const p = projects[s.projectId];
+        if (!p) return;
+        p.totalSignal += s.amount;
+        p.quadraticScore += s.votes;
+      });
+    }
+  },
+  {
+    version: 18,
+    description: 'day-long rate-limit counters back in the store',
+    up: data => {
+      data.collections.rateLimits = data.collections.rateLimits || {};
+    }
+  }
+];
+
+// Bring a dataset up to the latest schema in place; returns how many migrations ran
+function applyMigrations(data) {
+  const pending = MIGRATIONS.filter(m => m.version > data.meta.schemaVersion);
+  pending.forEach(m => {
+    m.up(data);
+    data.meta.schemaVersion = m.version;
+    console.log(`[STORAGE] migrated to v${m.version}: ${m.description}`);
+  });
+  return pending.length;
+}
+
+class Collection {
+  // `versioned: false` for bookkeeping (e.g. webhook delivery logs) that derived
+  // caches don't depend on: writes still persist but leave store.version alone
+  constructor(store, name, { versioned = true } = {}) {
+    this.store = store;
+    this.name = name;
+    this.versioned = versioned;
+  }
+
+  get map() { return this.store.data.collections[this.name]; }
+  get size() { return Object.keys(this.map).length; }
+
+  // Records are own properties only, so ids like "constructor" or "__proto__"
+  // never resolve to (or overwrite) Object.prototype
+  get(id) { return this.has(id) ? this.map[id] : undefined; }
+  has(id) { return Object.prototype.hasOwnProperty.call(this.map, id); }
+  keys() { return Object.keys(this.map)[Symbol.iterator](); }
+  values() { return Object.values(this.map)[Symbol.iterator](); }
+  entries() { return Object.entries(this.map)[Symbol.iterator](); }
+  forEach(fn) { Object.entries(this.map).forEach(([id, value]) => fn(value, id, this)); }
+  [Symbol.iterator]() { return this.entries(); }
+
+  set(id, value) {
+    Object.defineProperty(this.map, id, { value, writable: true, enumerable: true, configurable: true });
+    this.store.changed(this.name, id, this.versioned);
+    return this;
+  }
+
+  delete(id) {
+    const existed = this.has(id);
+    delete this.map[id];
+    if (existed) this.store.changed(this.name, id, this.versioned);
+    return existed;
+  }
+
+  // Read-modify-write a single record atomically
+  update(id, fn) {
+    return this.store.transaction(() => {
+      const record = this.get(id);
+      if (!record) return undefined;
+      fn(record);
+      this.set(id, record);
+      return record;
+    });
+  }
+}
+
+class Store {
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.collections = new Map();
+    this.depth = 0;
+    this.version = 0;   // bumped on every write, for caches derived from the data
+    this.touched = new Map();    // collection -> ids written since the last commit
+    this.committed = new Map();  // collection -> Map(id -> record JSON at the last commit)
+    this.saveTimer = null;
+    this.saveSeq = 0;
+    this.unsaved = false;        // a save is scheduled or still being written
+    this.data = adapter.load() || { meta: { schemaVersion: 0 }, collections: {} };
+    this.migrate();
+  }
+
+  migrate() {
+    const ran = applyMigrations(this.data);
+    this.recommit();
+    if (ran > 0) this.save();
+  }
+
+  // Serialize every record afresh, after a migration or a restore
+  recommit() {
+    this.committed = new Map(Object.entries(this.data.collections).map(([name, records]) =>
+      [name, new Map(Object.entries(records).map(([id, record]) => [id, JSON.stringify(record)]))]));
+    this.touched.clear();
+  }
+
+  collection(name, options) {
+    if (!this.data.collections[name]) {
+      throw new Error(`Unknown collection "${name}" - add a migration for it`);
+    }
+    if (!this.collections.has(name)) this.collections.set(name, new Collection(this, name, options));
+    return this.collections.get(name);
+  }
+
+  changed(name, id, versioned = true) {
+    if (!this.touched.has(name)) this.touched.set(name, new Set());
+    this.touched.get(name).add(id);
+    if (versioned) this.version++;
+    if (this.depth === 0) this.commit();
+  }
+
+  // Take the written records into the committed JSON and schedule a save
+  commit() {
+    if (this.touched.size === 0) return;
+    this.touched.forEach((ids, name) => {
+      const records = this.data.collections[name];
+      const committed = this.committed.get(name);
+      ids.forEach(id => {
+        if (Object.hasOwn(records, id)) committed.set(id, JSON.stringify(records[id]));
+        else committed.delete(id);
+      });
+    });
+    this.touched.clear();
+    this.scheduleSave();
+  }
+
+  // Put back every record written since the last commit
+  rollback() {
+    this.touched.forEach((ids, name) => {
+      const records = this.data.collections[name];
+      const committed = this.committed.get(name);
+      ids.forEach(id => {
+        if (committed.has(id)) {
+          Object.defineProperty(records, id, { value: JSON.parse(committed.get(id)), writable: true, enumerable: true, configurable: true });
+        } else {
+          delete records[id];
+        }
+      });
+    });
+    this.touched.clear();
+    this.version++;
+  }
+
+  // The dataset as JSON, assembled from the committed records
+  serialize() {
+    const collections = Array.from(this.committed, ([name, records]) =>
+      `${JSON.stringify(name)}:{${Array.from(records, ([id, json]) => `${JSON.stringify(id)}:${json}`).join(',')}}`);
+    return `{"meta":${JSON.stringify(this.data.meta)},"collections":{${collections.join(',')}}}`;
+  }
+
+  scheduleSave() {
+    if (!this.adapter.persistent || this.saveTimer) return;
+    this.unsaved = true;
+    this.saveTimer = setTimeout(() => this.save(), STORAGE_SAVE_DELAY_MS);
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.adapter.persistent) return;
+    const seq = ++this.saveSeq;
+    this.unsaved = true;
+    this.adapter.save(this.serialize()).then(() => {
+      if (seq === this.saveSeq && !this.saveTimer) this.unsaved = false;
+    });
+  }
+
+  // Write out anything not yet on disk before the process goes away
+  saveOnExit() {
+    if (!this.unsaved) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.adapter.saveSync(this.serialize());
+  }
+
+  // Swap in a whole dataset (e.g. a restored snapshot) and bring it up to date
+  replace(data) {
+    this.data = data;
+    this.version++;
+    this.migrate();
+    this.save();
+  }
+
+  /**
+   * Run `fn` as one unit: every write inside is committed and saved together,
+   * and an exception puts the records it wrote back as they were.
+   */
+  transaction(fn) {
+    if (this.depth > 0) return fn();
+    this.depth++;
+    try {
+      const result = fn();
+      this.depth--;
+      this.commit();
+      return result;
+    } catch (err) {
+      this.depth--;
+      this.rollback();
+      throw err;
+    }
+  }
+}
+
+const STORAGE_ADAPTER = process.env.STORAGE_ADAPTER || 'file';
+if (!storageAdapters[STORAGE_ADAPTER]) {
+  throw new Error(`Unknown STORAGE_ADAPTER "${STORAGE_ADAPTER}" (have: ${Object.keys(storageAdapters).join(', ')})`);
+}
+// Serverless instances start empty and /tmp goes with them, so neither built-in
+// adapter keeps data on Vercel. Refuse to start there rather than quietly lose
+// writes, unless the deployment says a throwaway registry is what it wants.
+if (process.env.VERCEL && process.env.STORAGE_ALLOW_EPHEMERAL !== 'true') {
+  throw new Error(`STORAGE_ADAPTER "${STORAGE_ADAPTER}" does not persist on Vercel; set STORAGE_ALLOW_EPHEMERAL=true to run with data that is lost between instances`);
+}
+const store = new Store(storageAdapters[STORAGE_ADAPTER]());
+process.on('exit', () => store.saveOnExit());
+['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => process.exit(128 + os.constants.signals[signal])));
+
+const projects = store.collection('projects');   // Projects in registry
+const signals = store.collection('signals');     // Support signals
+const signalEvents = store.collection('signalEvents'); // Every signal increment/removal
+const revisions = store.collection('revisions');  // Project edit history
+const flags = store.collection('flags');          // Community flags
+const moderationLog = store.collection('moderationLog');
+const webhooks = store.collection('webhooks');    // Outbound webhook subscriptions
+const webhookDeliveries = store.collection('webhookDeliveries', { versioned: false });
+const maintainerInvites = store.collection('maintainerInvites');
+const curations = store.collection('curations');  // User-curated project collections
+const rounds = store.collection('rounds');        // Funding rounds with matching pools
+const verifications = store.collection('verifications'); // "projectId:method" -> challenge and status
+const snapshots = store.collection('snapshots');  // Merkle-committed standings
+const delegations = store.collection('delegations'); // Signalling power handed to curators
+const rateLimitRecords = store.collection('rateLimits', { versioned: false }); // Day-long quota counters
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+// Every registry mutation is published here once it has been committed.
+// Webhooks (and anything else that wants to follow the registry) subscribe.
+
+const REGISTRY_EVENTS = ['project.created', 'project.updated', 'project.deleted', 'signal.added', 'signal.removed'];
+const registryEvents = new EventEmitter();
+registryEvents.setMaxListeners(0);
+
+function emitRegistryEvent(type, data) {
+  const event = { id: uuidv4(), type, createdAt: Date.now(), data };
+  registryEvents.emit('event', event);
+  return event;
+}
 const categories = new Set(['public-goods', 'defi', 'nft', 'social', 'infrastructure', 'tooling', 'other']);
 
 // ============================================================================
-// API: PROJECTS
+// SCHEMAS
+// ============================================================================
+
+// API routes are declared with route(method, path, spec, ...handlers). The
+// spec's JSON Schemas for params, query and body are checked before any
+// handler runs, and the same declarations generate GET /openapi.json and the
+// /agent manifest. Supported keywords: type, properties, required, items,
+// enum, minimum, maximum, minLength, maxLength, minItems, maxItems, pattern
+// and format (address, uri). Query strings are checked as their declared type.
+
+const apiRoutes = [];
+
+const SCHEMA_FORMATS = {
+  address: value => ethers.isAddress(value),
+  uri: value => safeUrl(value) !== null,
+  date: value => !isNaN(Date.parse(value))
+};
+
+const ADDRESS_SCHEMA = { type: 'string', format: 'address', description: '0x-prefixed Ethereum address' };
+const LIMIT_SCHEMA = { type: 'integer', minimum: 1, description: 'Capped per route' };
+const OFFSET_SCHEMA = { type: 'integer', minimum: 0 };
+const STRING_LIST_SCHEMA = { type: ['string', 'array'], items: { type: 'string' }, description: 'One value, a comma-separated list or an array' };
+
+// Documented on every signed route; requireSignature enforces them
+const SIGNATURE_SCHEMAS = {
+  signature: { type: 'string', description: 'EIP-712 or EIP-191 signature over the RegistryAction' },
+  signatureType: { type: 'string', enum: ['eip191', 'eip712'] },
+  nonce: { type: 'string', description: 'From GET /nonce/:address' },
+  expiry: { type: ['integer', 'string'], description: 'Unix seconds' }
+};
+
+function schemaTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Query values arrive as strings; read them as the first numeric/boolean type declared
+function coerceQueryValue(value, types) {
+  if (types.includes('integer') && /^-?\d+$/.test(value)) return parseInt(value);
+  if (types.includes('number') && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  if (types.includes('boolean') && ['true', 'false'].includes(value)) return value === 'true';
+  return value;
+}
+
+/**
+ * Collect { path, message } for every way `value` breaks `schema`.
+ */
+function checkSchema(schema, value, at, errors = [], fromQuery = false) {
+  const types = [].concat(schema.type || []);
+  if (fromQuery && typeof value === 'string') value = coerceQueryValue(value, types);
+
+  const actual = schemaTypeOf(value);
+  if (types.length > 0 && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    errors.push({ path: at, message: `must be ${types.join(' or ')}` });
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+    return errors;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format && SCHEMA_FORMATS[schema.format] && !SCHEMA_FORMATS[schema.format](value)) {
+      errors.push({ path: at, message: `must be a valid ${schema.format === 'uri' ? 'http(s) URL' : schema.format}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) value.forEach((item, i) => checkSchema(schema.items, item, `${at}[${i}]`, errors));
+  }
+
+  if (actual === 'object') {
+    (schema.required || [])
+      .filter(key => value[key] === undefined || value[key] === null || value[key] === '')
+      .forEach(key => errors.push({ path: `${at}.${key}`, message: 'is required' }));
+    Object.entries(schema.properties || {})
+      .filter(([key]) => value[key] !== undefined && !((schema.required || []).includes(key) && (value[key] === null || value[key] === '')))
+      .forEach(([key, sub]) => checkSchema(sub, value[key], `${at}.${key}`, errors, fromQuery));
+  }
+
+  return errors;
+}
+
+function formatSchemaErrors(errors) {
+  return errors.map(e => `${e.path} ${e.message}`).join('; ');
+}
+
+function pathParamNames(routePath) {
+  return (routePath.match(/:(\w+)/g) || []).map(p => p.slice(1));
+}
+
+// Validation middleware for a declared route
+function validateRequest(spec) {
+  const paramsSchema = {
+    type: 'object',
+    properties: Object.fromEntries(pathParamNames(spec.path).map(name => [name, spec.params?.[name] || { type: 'string' }]))
+  };
+
+  return (req, res, next) => {
+    const errors = [];
+    checkSchema(paramsSchema, req.params, 'params', errors, true);
+    if (spec.query) checkSchema({ type: 'object', ...spec.query }, req.query, 'query', errors, true);
+    if (spec.body) checkSchema(spec.body, req.body ?? {}, 'body', errors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: `Invalid request: ${formatSchemaErrors(errors)}`,
+        errors,
+        ...(spec.example && { example: spec.example })
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Register an API route with its schema spec:
+ *   { summary, group, params?, query?, body?, bodyFormat?, signed?, admin?, example?, status? }
+ * `query` is { properties, required? }; `body` is a full object schema.
+ */
+function route(method, routePath, spec, ...handlers) {
+  const entry = { method: method.toUpperCase(), path: routePath, ...spec };
+  apiRoutes.push(entry);
+  app[method](routePath, validateRequest(entry), ...handlers);
+}
+
+// ============================================================================
+// RATE LIMITING
+// ============================================================================
+
+// Fixed-window quotas per route group. Short-window counters live in memory,
+// so a read doesn't cost a write; day-long quotas (registrations, webhooks)
+// keep theirs in the store, so restarts and new serverless instances don't
+// reset them. Rejected registrations and signals give their hit back.
+//   register - new projects per owner
+//   signal   - signals per supporter
+//   read     - GET requests per client IP
+//   verify   - verification checks per client IP
+//   webhook  - new webhook subscriptions per owner
+// RATE_LIMITS='{"signal":{"limit":5,"windowMs":60000}}' overrides a group;
+// a limit of 0 switches it off. Behind load balancers set TRUST_PROXY to how
+// many there are (1 on Vercel by default): the client IP is then read that
+// many hops from the right of X-Forwarded-For, so a client can't pick its own
+// by prepending entries.
+
+const RATE_LIMIT_DEFAULTS = {
+  register: { limit: 10, windowMs: 24 * 60 * 60 * 1000 },
+  signal: { limit: 30, windowMs: 60 * 1000 },
+  read: { limit: 300, windowMs: 60 * 1000 },
+  verify: { limit: 20, windowMs: 60 * 60 * 1000 },
+  webhook: { limit: 10, windowMs: 24 * 60 * 60 * 1000 }
+};
+const RATE_LIMIT_SWEEP_EVERY = 1000; // hits between purges of expired counters
+
+const rateLimitPolicies = {};
+try {
+  const overrides = JSON.parse(process.env.RATE_LIMITS || '{}');
+  Object.entries(RATE_LIMIT_DEFAULTS).forEach(([group, defaults]) => {
+    const policy = { ...defaults, ...overrides[group] };
+    rateLimitPolicies[group] = { limit: parseInt(policy.limit) || 0, windowMs: parseInt(policy.windowMs) || defaults.windowMs };
+  });
+} catch (err) {
+  throw new Error(`RATE_LIMITS is not valid JSON: ${err.message}`);
+}
+
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true' ? 1 : parseInt(process.env.TRUST_PROXY) || (process.env.VERCEL ? 1 : 0);
+if (TRUST_PROXY > 0) app.set('trust proxy', TRUST_PROXY);
+
+const PERSISTENT_RATE_LIMITS = ['register', 'webhook'];
+const rateLimitCounters = new Map();  // "group:subject" -> { windowStart, count }
+let rateLimitHits = 0;
+
+// Where a group's counters live: the store for day-long quotas, memory otherwise
+function rateLimitCountersFor(group) {
+  return PERSISTENT_RATE_LIMITS.includes(group) ? rateLimitRecords : rateLimitCounters;
+}
+
+function sweepRateLimits(now) {
+  const expired = (counter, key) => now - counter.windowStart >= rateLimitPolicies[key.split(':')[0]].windowMs;
+  rateLimitCounters.forEach((counter, key) => {
+    if (expired(counter, key)) rateLimitCounters.delete(key);
+  });
+  store.transaction(() => {
+    rateLimitRecords.forEach((counter, key) => {
+      if (expired(counter, key)) rateLimitRecords.delete(key);
+    });
+  });
+}
+
+/**
+ * Count one hit for `subject` in `group`. Returns { limited, limit, remaining, resetMs },
+ * or null when the group has no limit.
+ */
+function consumeRateLimit(group, subject) {
+  const { limit, windowMs } = rateLimitPolicies[group];
+  if (!limit) return null;
+
+  const now = Date.now();
+  if (++rateLimitHits % RATE_LIMIT_SWEEP_EVERY === 0) sweepRateLimits(now);
+
+  const counters = rateLimitCountersFor(group);
+  const key = `${group}:${subject}`;
+  const current = counters.get(key);
+  const counter = current && now - current.windowStart < windowMs
+    ? { windowStart: current.windowStart, count: Math.min(current.count + 1, limit + 1) }
+    : { windowStart: now, count: 1 };
+  counters.set(key, counter);
+
+  return {
+    limited: counter.count > limit,
+    limit,
+    remaining: Math.max(0, limit - counter.count),
+    resetMs: counter.windowStart + windowMs - now
+  };
+}
+
+// Give back a hit, e.g. for a request the handler went on to reject
+function refundRateLimit(group, subject) {
+  const counters = rateLimitCountersFor(group);
+  const key = `${group}:${subject}`;
+  const counter = counters.get(key);
+  if (counter && counter.count > 0) counters.set(key, { ...counter, count: counter.count - 1 });
+}
+
+/**
+ * Enforce a group's quota on the subject returned by `subjectOf(req)`.
+ * Sets RateLimit-* headers and answers 429 with Retry-After once exhausted.
+ * With `refundRejected`, requests the handler answers with a 4xx don't count.
+ */
+function rateLimit(group, subjectOf, { refundRejected = false } = {}) {
+  return (req, res, next) => {
+    const subject = subjectOf(req);
+    const result = subject ? consumeRateLimit(group, subject) : null;
+    if (!result) return next();
+
+    const resetSeconds = Math.ceil(result.resetMs / 1000);
+    res.set({
+      'RateLimit-Policy': `${result.limit};w=${Math.ceil(rateLimitPolicies[group].windowMs / 1000)}`,
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (result.limited) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: `Rate limit exceeded for ${group}: ${result.limit} per ${Math.ceil(rateLimitPolicies[group].windowMs / 1000)}s`,
+        retryAfter: resetSeconds
+      });
+    }
+    if (refundRejected) {
+      res.on('finish', () => {
+        if (res.statusCode >= 400 && res.statusCode < 500) refundRateLimit(group, subject);
+      });
+    }
+    next();
+  };
+}
+
+// Reads are limited per client IP; /health stays open for uptime checks
+const limitReads = rateLimit('read', req => req.ip);
+app.use((req, res, next) => (['GET', 'HEAD'].includes(req.method) && req.path !== '/health' ? limitReads(req, res, next) : next()));
+
+// ============================================================================
+// API: PROJECTS
+// ============================================================================
+
+// Add project to registry (self-register)
+
+// ============================================================================
+// ACCESS CONTROL
+// ============================================================================
+
+// Who may register, edit, signal and flag is decided by access providers:
+//   remote - JSON list fetched from a URL (the owockibot whitelist by default)
+//   file   - JSON array or one address per line, read from disk
+//   env    - comma-separated ACCESS_ALLOWLIST
+//   open   - everyone
+//   token  - holds at least ACCESS_TOKEN_MIN of an ERC-20 (eth_call over JSON-RPC)
+// ACCESS_PROVIDER picks the default; ACCESS_POLICIES='{"signal":"open"}'
+// overrides it per route group. When a provider can't answer and has nothing
+// cached, ACCESS_FAIL_MODE decides: "closed" (default) refuses, "open" allows.
+// Remote and token lookups give up after ACCESS_FETCH_TIMEOUT_MS (5s default).
+
+const ACCESS_GROUPS = ['register', 'edit', 'signal', 'flag'];
+const ACCESS_FAIL_MODE = process.env.ACCESS_FAIL_MODE === 'open' ? 'open' : 'closed';
+const ACCESS_LIST_TTL = 5 * 60 * 1000; // 5 minutes
+const ACCESS_RETRY_DELAY = 30 * 1000;   // wait between refreshes after a failed one
+const ACCESS_FETCH_TIMEOUT_MS = parseInt(process.env.ACCESS_FETCH_TIMEOUT_MS) || 5000;
+const ACCESS_DENIED_MESSAGE = process.env.ACCESS_DENIED_MESSAGE || 'Invite-only. Tag @owockibot on X to request access.';
+
+function parseAddressList(raw) {
+  let entries;
+  try {
+    entries = JSON.parse(raw);
+  } catch (err) {
+    entries = String(raw).split(/[\r\n,]+/);
+  }
+  if (!Array.isArray(entries)) throw new Error('Expected an array of addresses');
+  return new Set(entries
+    .map(e => String(e?.address || e).trim().toLowerCase())
+    .filter(a => ethers.isAddress(a)));
+}
+
+// A provider backed by a cached set of addresses
+class ListProvider {
+  constructor(type, describe, load) {
+    this.type = type;
+    this.describe = describe;
+    this.load = load;
+    this.entries = null;
+    this.loadedAt = 0;
+    this.retryAt = 0;
+    this.lastError = null;
+  }
+
+  async refresh() {
+    try {
+      this.entries = await this.load();
+      this.loadedAt = Date.now();
+      this.retryAt = 0;
+      this.lastError = null;
+    } catch (err) {
+      this.lastError = err.message;
+      this.retryAt = Date.now() + ACCESS_RETRY_DELAY;
+      console.error(`Access list (${this.type}) refresh failed:`, err.message);
+      if (!this.entries) throw err;
+    }
+    return this.entries;
+  }
+
+  // While the source is failing, answer from the stale list (or fail) until
+  // retryAt instead of refetching on every request
+  async allows(address) {
+    if (!this.entries || Date.now() - this.loadedAt > ACCESS_LIST_TTL) {
+      if (Date.now() >= this.retryAt) await this.refresh();
+      else if (!this.entries) throw new Error(this.lastError);
+    }
+    return this.entries.has(address);
+  }
+
+  // Synchronous best guess from whatever is cached (null when unknown)
+  cachedAllows(address) {
+    return this.entries ? this.entries.has(address) : null;
+  }
+
+  status() {
+    return {
+      type: this.type,
+      source: this.describe,
+      size: this.entries ? this.entries.size : null,
+      loadedAt: this.loadedAt || null,
+      retryAt: this.retryAt || null,
+      lastError: this.lastError
+    };
+  }
+}
+
+class OpenProvider {
+  constructor() { this.type = 'open'; }
+  async allows() { return true; }
+  async refresh() {}
+  cachedAllows() { return true; }
+  status() { return { type: 'open' }; }
+}
+
+// ERC-20 balance check through any JSON-RPC endpoint (a local node or stub works)
+class TokenProvider {
+  constructor({ rpcUrl, token, minBalance }) {
+    this.type = 'token';
+    this.rpcUrl = rpcUrl;
+    this.token = token;
+    this.minBalance = BigInt(minBalance || 1);
+    this.iface = new ethers.Interface(['function balanceOf(address) view returns (uint256)']);
+    this.cache = new Map();   // address -> { allowed, checkedAt }
+    this.lastError = null;
+  }
+
+  async allows(address) {
+    const cached = this.cache.get(address);
+    if (cached && Date.now() - cached.checkedAt < ACCESS_LIST_TTL) return cached.allowed;
+
+    try {
+      const res = await fetch(this.rpcUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'eth_call',
+          params: [{ to: this.token, data: this.iface.encodeFunctionData('balanceOf', [address]) }, 'latest']
+        }),
+        signal: AbortSignal.timeout(ACCESS_FETCH_TIMEOUT_MS)
+      });
+      const body = await res.json();
+      if (body.error) throw new Error(body.error.message || 'RPC error');
+      const [balance] = this.iface.decodeFunctionResult('balanceOf', body.result);
+      const allowed = balance >= this.minBalance;
+      this.cache.set(address, { allowed, checkedAt: Date.now() });
+      this.lastError = null;
+      return allowed;
+    } catch (err) {
+      this.lastError = err.message;
+      if (cached) return cached.allowed;
+      throw err;
+    }
+  }
+
+  async refresh() {
+    this.cache.clear();
+  }
+
+  cachedAllows(address) {
+    return this.cache.has(address) ? this.cache.get(address).allowed : null;
+  }
+
+  status() {
+    return {
+      type: 'token',
+      rpcUrl: this.rpcUrl,
+      token: this.token,
+      minBalance: this.minBalance.toString(),
+      cachedAddresses: this.cache.size,
+      lastError: this.lastError
+    };
+  }
+}
+
+const accessProviderFactories = {
+  remote: () => {
+    const url = process.env.ACCESS_REMOTE_URL || 'https://www.owockibot.xyz/api/whitelist';
+    return new ListProvider('remote', url, async () => {
+      const res = await fetch(url, { signal: AbortSignal.timeout(ACCESS_FETCH_TIMEOUT_MS) });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return parseAddressList(JSON.stringify(await res.json()));
+    });
+  },
+  file: () => {
+    const file = process.env.ACCESS_FILE || path.join(__dirname, 'data', 'allowlist.json');
+    return new ListProvider('file', file, async () => parseAddressList(fs.readFileSync(file, 'utf8')));
+  },
+  env: () => new ListProvider('env', 'ACCESS_ALLOWLIST', async () => parseAddressList(process.env.ACCESS_ALLOWLIST || '')),
+  open: () => new OpenProvider(),
+  token: () => new TokenProvider({
+    rpcUrl: process.env.ACCESS_RPC_URL || 'http://127.0.0.1:8545',
+    token: process.env.ACCESS_TOKEN_ADDRESS,
+    minBalance: process.env.ACCESS_TOKEN_MIN
+  })
+};
+
+const ACCESS_PROVIDER = process.env.ACCESS_PROVIDER || 'remote';
+const accessPolicies = {};
+try {
+  const overrides = JSON.parse(process.env.ACCESS_POLICIES || '{}');
+  ACCESS_GROUPS.forEach(group => accessPolicies[group] = overrides[group] || ACCESS_PROVIDER);
+} catch (err) {
+  throw new Error(`ACCESS_POLICIES is not valid JSON: ${err.message}`);
+}
+
+// One instance per provider type in use
+const accessProviders = new Map();
+Object.values(accessPolicies).forEach(type => {
+  if (!accessProviderFactories[type]) {
+    throw new Error(`Unknown access provider "${type}" (have: ${Object.keys(accessProviderFactories).join(', ')})`);
+  }
+  if (!accessProviders.has(type)) accessProviders.set(type, accessProviderFactories[type]());
+});
+
+// Whether any configured list currently knows the address (for reputation)
+function isAllowlisted(address) {
+  return Array.from(accessProviders.values())
+    .filter(p => p.type !== 'open')
+    .some(p => p.cachedAllows(address) === true);
+}
+
+/**
+ * Gate a route group on the address in `addressField`.
+ */
+function requireAccess(group, addressField = 'address') {
+  const provider = accessProviders.get(accessPolicies[group]);
+
+  return async (req, res, next) => {
+    const addr = req.body?.[addressField];
+    if (!addr || !ethers.isAddress(addr)) {
+      return res.status(400).json({ error: `Valid ${addressField} address required` });
+    }
+
+    let allowed;
+    try {
+      allowed = await provider.allows(addr.toLowerCase());
+    } catch (err) {
+      if (ACCESS_FAIL_MODE === 'open') return next();
+      return res.status(503).json({ error: 'Access list unavailable, try again later' });
+    }
+
+    if (!allowed) {
+      return res.status(403).json({ error: ACCESS_DENIED_MESSAGE });
+    }
+    next();
+  };
+}
+
+// Active providers and route policies (admin only)
+route('get', '/admin/access', {
+  group: 'Access',
+  summary: 'Active access providers and route policies',
+  admin: true
+}, requireAdmin, (req, res) => {
+  res.json({
+    failMode: ACCESS_FAIL_MODE,
+    policies: accessPolicies,
+    providers: Array.from(accessProviders.values()).map(p => p.status())
+  });
+});
+
+// Addresses on a list provider (admin only)
+route('get', '/admin/access/:provider/entries', {
+  group: 'Access',
+  summary: 'Addresses on a list provider',
+  admin: true,
+  params: { provider: { type: 'string', enum: Object.keys(accessProviderFactories) } }
+}, requireAdmin, (req, res) => {
+  const provider = accessProviders.get(req.params.provider);
+  if (!provider) return res.status(404).json({ error: 'Provider not active' });
+  if (!provider.entries) {
+    return res.status(400).json({ error: `${provider.type} provider has no list to show`, status: provider.status() });
+  }
+  res.json({ ...provider.status(), entries: Array.from(provider.entries).sort() });
+});
+
+// Force a reload of one or all providers (admin only)
+route('post', '/admin/access/refresh', {
+  group: 'Access',
+  summary: 'Reload one or all access providers',
+  admin: true,
+  body: { type: 'object', properties: { provider: { type: 'string', enum: Object.keys(accessProviderFactories) } } }
+}, requireAdmin, async (req, res) => {
+  const { provider } = req.body || {};
+  const targets = provider
+    ? [accessProviders.get(provider)].filter(Boolean)
+    : Array.from(accessProviders.values());
+  if (targets.length === 0) return res.status(404).json({ error: 'Provider not active' });
+
+  const results = [];
+  for (const p of targets) {
+    try {
+      await p.refresh();
+    } catch (err) {
+      // status() carries lastError
+    }
+    results.push(p.status());
+  }
+  res.json({ providers: results });
+});
+
+// ============================================================================
+// SIGNATURE VERIFICATION
+// ============================================================================
+
+// Every mutation is signed by the acting address, either as EIP-712 typed data
+// or as an EIP-191 personal message. The signed payload binds the action, the
+// target, a hash of the request body, a single-use nonce and an expiry.
+// Nonces live in memory only (issuing one costs no write) and an address may
+// hold several at once, so concurrent requests don't invalidate each other.
+// The few reads that need a signature (GET) carry the same fields in the
+// query string, and the payload hash covers the other query parameters.
+
+const nonces = new Map();                  // nonce -> { nonce, address, issuedAt, expiresAt }
+const NONCE_TTL = 10 * 60 * 1000;          // 10 minutes
+const MAX_NONCES_PER_ADDRESS = 20;         // oldest outstanding nonce is dropped past this
+const MAX_SIGNATURE_LIFETIME = 60 * 60;    // seconds between now and `expiry`
+const SIGNATURE_FIELDS = ['signature', 'signatureType', 'nonce', 'expiry'];
+
+// EIP712_CHAIN_ID picks the chain named in the typed-data domain (Base by
+// default). Wallets won't sign typed data for another chain than the one
+// they're on, so the web form signs the EIP-191 message instead there.
+const EIP712_DOMAIN = {
+  name: 'Self-Curated Registry',
+  version: '1',
+  chainId: parseInt(process.env.EIP712_CHAIN_ID) || 8453
+};
+
+const EIP712_TYPES = {
+  RegistryAction: [
+    { name: 'action', type: 'string' },
+    { name: 'target', type: 'string' },
+    { name: 'payloadHash', type: 'bytes32' },
+    { name: 'nonce', type: 'string' },
+    { name: 'expiry', type: 'uint256' }
+  ]
+};
+
+// Deterministic JSON: object keys sorted at every level
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function payloadHash(body) {
+  const payload = {};
+  Object.keys(body || {})
+    .filter(k => !SIGNATURE_FIELDS.includes(k))
+    .forEach(k => payload[k] = body[k]);
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(payload)));
+}
+
+function personalMessage({ action, target, payloadHash, nonce, expiry }) {
+  return [
+    'Self-Curated Registry',
+    `Action: ${action}`,
+    `Target: ${target}`,
+    `Payload: ${payloadHash}`,
+    `Nonce: ${nonce}`,
+    `Expiry: ${expiry}`
+  ].join('\n');
+}
+
+function issueNonce(address) {
+  const addr = address.toLowerCase();
+  const outstanding = Array.from(nonces.values()).filter(n => n.address === addr);
+  if (outstanding.length >= MAX_NONCES_PER_ADDRESS) nonces.delete(outstanding[0].nonce);
+
+  const entry = {
+    nonce: ethers.hexlify(ethers.randomBytes(16)),
+    address: addr,
+    issuedAt: Date.now(),
+    expiresAt: Date.now() + NONCE_TTL
+  };
+  nonces.set(entry.nonce, entry);
+  return entry;
+}
+
+function sweepNonces(now = Date.now()) {
+  nonces.forEach((entry, nonce) => {
+    if (entry.expiresAt < now) nonces.delete(nonce);
+  });
+}
+
+setInterval(sweepNonces, NONCE_TTL).unref();
+
+function recoverSigner(signatureType, value, signature) {
+  try {
+    if (signatureType === 'eip712') {
+      return ethers.verifyTypedData(EIP712_DOMAIN, EIP712_TYPES, value, signature).toLowerCase();
+    }
+    return ethers.verifyMessage(personalMessage(value), signature).toLowerCase();
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Require a signature from the address in `addressField` over `action`.
+ * The target is the `:id` route param (empty string for creation).
+ */
+function requireSignature(action, addressField = 'address') {
+  return (req, res, next) => {
+    const input = (req.method === 'GET' ? req.query : req.body) || {};
+    const { signature, signatureType = 'eip191', nonce, expiry } = input;
+    const address = input[addressField];
+
+    if (!address || !ethers.isAddress(address)) {
+      return res.status(400).json({ error: `Valid ${addressField} address required` });
+    }
+    if (!signature || !nonce || !expiry) {
+      return res.status(401).json({
+        error: 'signature, nonce and expiry required',
+        hint: `GET /nonce/${address} first, then sign the ${action} request`
+      });
+    }
+    if (!['eip191', 'eip712'].includes(signatureType)) {
+      return res.status(400).json({ error: 'signatureType must be eip191 or eip712' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const expirySeconds = parseInt(expiry);
+    if (!expirySeconds || expirySeconds <= now) {
+      return res.status(401).json({ error: 'Signature expired' });
+    }
+    if (expirySeconds - now > MAX_SIGNATURE_LIFETIME) {
+      return res.status(400).json({ error: `expiry must be within ${MAX_SIGNATURE_LIFETIME} seconds` });
+    }
+
+    const addr = address.toLowerCase();
+    const issued = nonces.get(nonce);
+    if (!issued || issued.address !== addr || issued.expiresAt < Date.now()) {
+      return res.status(401).json({ error: 'Invalid or expired nonce' });
+    }
+
+    const value = {
+      action,
+      target: req.params.id || '',
+      payloadHash: payloadHash(input),
+      nonce,
+      expiry: expirySeconds
+    };
+
+    if (recoverSigner(signatureType, value, signature) !== addr) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    // Single use - burn the nonce before handling the request
+    nonces.delete(nonce);
+    req.signer = addr;
+    next();
+  };
+}
+
+// Issue a fresh nonce for an address to sign its next mutation with
+route('get', '/nonce/:address', {
+  group: 'Auth',
+  summary: 'Get a single-use nonce to sign the next mutation with',
+  params: { address: ADDRESS_SCHEMA }
+}, (req, res) => {
+  const { address } = req.params;
+  const entry = issueNonce(address);
+
+  res.json({
+    address: address.toLowerCase(),
+    nonce: entry.nonce,
+    expiresAt: entry.expiresAt,
+    maxSignatureLifetime: MAX_SIGNATURE_LIFETIME,
+    eip712: { domain: EIP712_DOMAIN, types: EIP712_TYPES, primaryType: 'RegistryAction' },
+    eip191: {
+      format: personalMessage({
+        action: '<action>',
+        target: '<project id or empty>',
+        payloadHash: '<keccak256 of canonical JSON body without signature fields>',
+        nonce: entry.nonce,
+        expiry: '<unix seconds>'
+      })
+    }
+  });
+});
+
+// ============================================================================
+// DUPLICATE DETECTION
+// ============================================================================
+
+// DUPLICATE_POLICY: "flag" (default) registers the project and returns
+// possibleDuplicates, "reject" refuses it with 409, "off" skips the check.
+const DUPLICATE_POLICY = ['reject', 'flag', 'off'].includes(process.env.DUPLICATE_POLICY)
+  ? process.env.DUPLICATE_POLICY
+  : 'flag';
+const NAME_SIMILARITY_THRESHOLD = parseFloat(process.env.NAME_SIMILARITY_THRESHOLD) || 0.85;
+const SAME_OWNER_SIMILARITY_THRESHOLD = 0.6;
+
+// https://www.Example.com/app/?ref=x -> example.com/app
+function normalizeUrl(url) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `https://${url}`);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const pathname = parsed.pathname.replace(/\/+$/, '').toLowerCase();
+    return `${host}${pathname}`;
+  } catch (err) {
+    return String(url).trim().toLowerCase();
+  }
+}
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(
+        prev[j] + 1,
+        curr[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// 0..1, 1 meaning identical after normalization
+function nameSimilarity(a, b) {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return 0;
+  return 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+}
+
+/**
+ * Find registered projects (or projects in `pool`) that look like `candidate`
+ * ({ name, url, owner }). Returns matches sorted by score, each with the
+ * reasons it matched.
+ */
+function findSimilarProjects(candidate, excludeId = null, pool = projects.values()) {
+  const url = normalizeUrl(candidate.url);
+  const owner = candidate.owner ? candidate.owner.toLowerCase() : null;
+
+  return Array.from(pool)
+    .filter(p => p.id !== excludeId && p.status !== 'removed')
+    .map(p => {
+      const reasons = [];
+      const similarity = nameSimilarity(candidate.name, p.name);
+      if (url && normalizeUrl(p.url) === url) reasons.push('url');
+      if (similarity >= NAME_SIMILARITY_THRESHOLD) reasons.push('name');
+      if (owner && p.owner === owner && similarity >= SAME_OWNER_SIMILARITY_THRESHOLD) reasons.push('same-owner');
+
+      return {
+        id: p.id,
+        name: p.name,
+        url: p.url,
+        owner: p.owner,
+        nameSimilarity: Math.round(similarity * 100) / 100,
+        reasons,
+        score: (reasons.includes('url') ? 1 : 0) + similarity
+      };
+    })
+    .filter(m => m.reasons.length > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+const PROJECT_EXAMPLE = {
+  name: 'My Project',
+  description: 'A cool thing',
+  url: 'https://...',
+  category: 'public-goods',
+  owner: '0x...',
+  tags: ['ethereum', 'open-source']
+};
+
+const PROJECT_NAME_MAX = 100;
+const PROJECT_DESCRIPTION_MAX = 1000;
+const PROJECT_TAGS_MAX = 10;
+
+const PROJECT_FIELDS = {
+  name: { type: 'string', minLength: 1, maxLength: PROJECT_NAME_MAX },
+  description: { type: 'string', maxLength: PROJECT_DESCRIPTION_MAX },
+  url: { type: ['string', 'null'], format: 'uri', maxLength: 500 },
+  logo: { type: ['string', 'null'], format: 'uri', maxLength: 500 },
+  category: { type: 'string', description: `${Array.from(categories).join('|')} - anything else files under "other"` },
+  tags: { type: 'array', maxItems: PROJECT_TAGS_MAX, items: { type: 'string', minLength: 1, maxLength: 32 }, description: 'Stored lowercase' },
+  owner: ADDRESS_SCHEMA
+};
+const PROJECT_CREATE_SCHEMA = { type: 'object', required: ['name', 'owner'], properties: PROJECT_FIELDS };
+const PROJECT_UPDATE_SCHEMA = { type: 'object', required: ['owner'], properties: PROJECT_FIELDS };
+
+// Tags are matched case-insensitively, so store them lowercase and unique
+function normalizeTags(tags) {
+  return Array.from(new Set(tags.map(t => t.trim().toLowerCase()).filter(Boolean)));
+}
+
+// Shared by single registration and bulk import. Returns { error, errors } or { value }.
+function validateProjectInput(input) {
+  const errors = checkSchema(PROJECT_CREATE_SCHEMA, input, 'project');
+  if (errors.length > 0) {
+    return { error: formatSchemaErrors(errors), errors, example: PROJECT_EXAMPLE };
+  }
+
+  const { name, description, url, category, owner, logo, tags } = input;
+  return {
+    value: {
+      name,
+      description: description || '',
+      url: url || null,
+      logo: logo || null,
+      category: categories.has(category) ? category : 'other',
+      tags: normalizeTags(tags || []),
+      owner: owner.toLowerCase()
+    }
+  };
+}
+
+function buildProject(value) {
+  return {
+    id: uuidv4(),
+    ...value,
+    maintainers: [{ address: value.owner, role: 'owner', addedAt: Date.now() }],
+    supportCount: 0,
+    totalSignal: 0,
+    quadraticScore: 0,
+    verified: false,
+    linkedAccounts: {},
+    revision: 0,
+    status: 'active',
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+}
+
+// Store writes for a new project; call inside a transaction
+function persistProject(project, author, possibleDuplicates = []) {
+  projects.set(project.id, project);
+  recordRevision(project, author, null);
+  if (possibleDuplicates.length > 0) {
+    logModeration('possible-duplicate', project.id, 'system', null, {
+      duplicates: possibleDuplicates.map(d => ({ id: d.id, reasons: d.reasons }))
+    });
+  }
+}
+
+// Side effects once a new project is committed
+function announceProject(project) {
+  indexProject(project);
+  emitRegistryEvent('project.created', { project });
+  console.log(`[PROJECT ADDED] ${project.id}: ${project.name} by ${project.owner.slice(0, 10)}...`);
+}
+
+// Add project to registry (self-register)
+route('post', '/projects', {
+  group: 'Projects',
+  summary: 'Add project to registry',
+  signed: true,
+  status: 201,
+  body: PROJECT_CREATE_SCHEMA,
+  example: PROJECT_EXAMPLE
+}, requireAccess('register', 'owner'), requireSignature('project.create', 'owner'), rateLimit('register', req => req.signer, { refundRejected: true }), (req, res) => {
+  const { name, url, owner } = req.body;
+
+  const { error, errors, example, value } = validateProjectInput(req.body);
+  if (error) {
+    return res.status(400).json({ error, errors, example });
+  }
+
+  const possibleDuplicates = DUPLICATE_POLICY === 'off' ? [] : findSimilarProjects({ name, url, owner });
+  if (DUPLICATE_POLICY === 'reject' && possibleDuplicates.length > 0) {
+    return res.status(409).json({ error: 'Possible duplicate of an existing project', possibleDuplicates });
+  }
+
+  const project = buildProject(value);
+
+  store.transaction(() => persistProject(project, req.signer, possibleDuplicates));
+  announceProject(project);
+  
+  if (possibleDuplicates.length > 0) {
+    return res.status(201).json({ ...project, possibleDuplicates });
+  }
+  res.status(201).json(project);
+});
+
+// ============================================================================
+// BULK IMPORT
+// ============================================================================
+
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 1000;
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || '5mb';
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF or LF
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(cells => {
+    const record = {};
+    header.forEach((h, i) => record[h] = cells[i] === undefined ? undefined : cells[i].trim() || undefined);
+    // tags are ; or | separated in a single cell
+    if (record.tags !== undefined) record.tags = record.tags.split(/[;|]/).map(t => t.trim()).filter(Boolean);
+    return record;
+  });
+}
+
+// Bulk register projects (admin only). dryRun reports without committing.
+route('post', IMPORT_PATH, {
+  group: 'Projects',
+  summary: 'Bulk import from a JSON array or CSV',
+  admin: true,
+  query: { properties: { dryRun: { type: 'boolean' } } },
+  bodyFormat: 'JSON array of projects, { projects, dryRun } or text/csv with a header row'
+}, requireAdmin,
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT }),
+  (req, res) => {
+    let rows;
+    let dryRun = ['true', '1'].includes(String(req.query.dryRun));
+
+    if (typeof req.body === 'string') {
+      rows = parseCsv(req.body);
+    } else if (Array.isArray(req.body)) {
+      rows = req.body;
+    } else if (Array.isArray(req.body?.projects)) {
+      rows = req.body.projects;
+      dryRun = dryRun || req.body.dryRun === true;
+    } else {
+      return res.status(400).json({ error: 'Send a JSON array, { projects: [...] } or text/csv' });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'No rows to import' });
+    }
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ error: `At most ${IMPORT_MAX_ROWS} rows per import` });
+    }
+
+    const toCreate = [];
+    const rowOf = new Map();  // project id -> row, for rows accepted so far
+
+    const report = rows.map((input, index) => {
+      const row = index + 1;
+      const { error, value } = validateProjectInput(input || {});
+      if (error) return { row, status: 'rejected', reason: error };
+
+      // Earlier rows go through the same matcher as the registry: the same
+      // url or name is a repeat and is skipped, anything fuzzier is a
+      // possible duplicate like one of an existing project
+      const batchMatches = findSimilarProjects(value, null, toCreate.map(c => c.project))
+        .map(m => ({ ...m, row: rowOf.get(m.id) }));
+      const repeat = batchMatches.find(m => m.reasons.includes('url') || normalizeName(m.name) === normalizeName(value.name));
+      if (repeat) {
+        return { row, status: 'skipped', reason: `Duplicate of row ${repeat.row}`, name: value.name };
+      }
+
+      const possibleDuplicates = DUPLICATE_POLICY === 'off'
+        ? []
+        : [...findSimilarProjects(value), ...batchMatches].sort((a, b) => b.score - a.score);
+      if (DUPLICATE_POLICY === 'reject' && possibleDuplicates.length > 0) {
+        return { row, status: 'rejected', reason: 'Possible duplicate of an existing project or an earlier row', name: value.name, possibleDuplicates };
+      }
+
+      const project = buildProject(value);
+      toCreate.push({ project, possibleDuplicates });
+      rowOf.set(project.id, row);
+
+      const entry = { row, status: dryRun ? 'would-create' : 'created', name: value.name, category: value.category };
+      if (input.category && input.category !== value.category) {
+        entry.warnings = [`Unknown category "${input.category}", using "other"`];
+      }
+      if (Array.isArray(input.tags) && input.tags.length > value.tags.length) {
+        entry.warnings = [...(entry.warnings || []), `Tags normalized to ${value.tags.join(', ')}`];
+      }
+      if (possibleDuplicates.length > 0) entry.possibleDuplicates = possibleDuplicates;
+      if (!dryRun) entry.projectId = project.id;
+      return entry;
+    });
+
+    if (!dryRun && toCreate.length > 0) {
+      store.transaction(() => {
+        toCreate.forEach(({ project, possibleDuplicates }) => persistProject(project, 'admin', possibleDuplicates));
+      });
+      toCreate.forEach(({ project }) => announceProject(project));
+    }
+
+    const summary = { total: rows.length };
+    ['created', 'would-create', 'skipped', 'rejected'].forEach(status => {
+      summary[status] = report.filter(r => r.status === status).length;
+    });
+
+    res.status(dryRun || toCreate.length === 0 ? 200 : 201).json({ dryRun, summary, rows: report });
+  }
+);
+
+const PROJECT_SORTS = ['recent', 'oldest', 'support', 'signal', 'quadratic', 'weighted', 'trending'];
+
+// Project filters, shared by /projects, /search, /categories, /tags, /export,
+// the feeds and the web UI. List filters take one value, a comma-separated
+// list or a repeated parameter and match any of them; `name!=` excludes
+// instead (tag=a,b&category!=nft). Dates are ISO 8601 or unix ms.
+const PROJECT_FILTER_PROPERTIES = {
+  category: STRING_LIST_SCHEMA,
+  'category!': STRING_LIST_SCHEMA,
+  tag: STRING_LIST_SCHEMA,
+  'tag!': STRING_LIST_SCHEMA,
+  owner: { ...STRING_LIST_SCHEMA, description: 'Owner addresses' },
+  'owner!': { ...STRING_LIST_SCHEMA, description: 'Owner addresses' },
+  minSupport: { type: 'integer', minimum: 0 },
+  maxSupport: { type: 'integer', minimum: 0 },
+  createdAfter: { type: ['integer', 'string'], format: 'date' },
+  createdBefore: { type: ['integer', 'string'], format: 'date' },
+  updatedAfter: { type: ['integer', 'string'], format: 'date' },
+  updatedBefore: { type: ['integer', 'string'], format: 'date' },
+  hasUrl: { type: 'boolean' },
+  hasLogo: { type: 'boolean' },
+  verified: { type: 'boolean' }
+};
+
+const PROJECT_QUERY_PROPERTIES = {
+  ...PROJECT_FILTER_PROPERTIES,
+  sort: { type: 'string', enum: PROJECT_SORTS },
+  halfLife: { type: 'number', minimum: 0, description: 'Hours, trending only' }
+};
+
+const FIELDS_SCHEMA = { ...STRING_LIST_SCHEMA, description: 'Comma-separated fields to return' };
+
+function timeParam(value) {
+  if (value === undefined || value === '') return null;
+  return /^\d+$/.test(String(value)) ? parseInt(value) : Date.parse(value);
+}
+
+function flagParam(value) {
+  if (value === undefined || value === '') return null;
+  return String(value) === 'true';
+}
+
+/**
+ * Build a predicate from the filter parameters in `query`.
+ */
+function projectFilter(query) {
+  const lower = name => toList(query[name]).map(v => v.toLowerCase());
+  const checks = [];
+  const anyOf = (name, valuesOf) => {
+    const wanted = lower(name);
+    const excluded = lower(`${name}!`);
+    if (wanted.length) checks.push(p => valuesOf(p).some(v => wanted.includes(v)));
+    if (excluded.length) checks.push(p => !valuesOf(p).some(v => excluded.includes(v)));
+  };
+  const range = (min, max, valueOf) => {
+    if (min !== null && !isNaN(min)) checks.push(p => valueOf(p) >= min);
+    if (max !== null && !isNaN(max)) checks.push(p => valueOf(p) <= max);
+  };
+  const flag = (value, test) => {
+    if (value !== null) checks.push(p => test(p) === value);
+  };
+
+  anyOf('category', p => [p.category]);
+  anyOf('tag', p => p.tags);
+  anyOf('owner', p => [p.owner]);
+  range(
+    query.minSupport === undefined || query.minSupport === '' ? null : parseInt(query.minSupport),
+    query.maxSupport === undefined || query.maxSupport === '' ? null : parseInt(query.maxSupport),
+    p => p.supportCount
+  );
+  range(timeParam(query.createdAfter), timeParam(query.createdBefore), p => p.createdAt);
+  range(timeParam(query.updatedAfter), timeParam(query.updatedBefore), p => p.updatedAt);
+  flag(flagParam(query.hasUrl), p => Boolean(p.url));
+  flag(flagParam(query.hasLogo), p => Boolean(p.logo));
+  flag(flagParam(query.verified), p => Boolean(p.verified));
+
+  return p => checks.every(check => check(p));
+}
+
+// Listed projects matching the filters
+function filteredProjects(query) {
+  return Array.from(projects.values()).filter(isListed).filter(projectFilter(query));
+}
+
+// Sort keys, most significant first; remaining ties fall back to id so that
+// cursors have a total order to resume from
+const PROJECT_SORT_KEYS = {
+  recent: [[p => p.createdAt, -1]],
+  oldest: [[p => p.createdAt, 1]],
+  support: [[p => p.supportCount, -1], [p => p.createdAt, 1]],
+  signal: [[p => p.combinedSignal, -1], [p => p.createdAt, 1]],
+  quadratic: [[p => p.combinedQuadraticScore, -1], [p => p.createdAt, 1]],
+  weighted: [[p => p.weightedSupport, -1], [p => p.createdAt, 1]],
+  trending: [[p => p.trendingScore, -1], [p => p.createdAt, -1]]
+};
+
+function sortKey(sort, project) {
+  return PROJECT_SORT_KEYS[sort].map(([get]) => get(project));
+}
+
+function compareSortKeys(sort, a, aId, b, bId) {
+  const keys = PROJECT_SORT_KEYS[sort];
+  for (let i = 0; i < keys.length; i++) {
+    if (a[i] !== b[i]) return (a[i] < b[i] ? -1 : 1) * keys[i][1];
+  }
+  return aId < bId ? -1 : aId > bId ? 1 : 0;
+}
+
+// Cursors are opaque to clients: the sort and the last item's position in it.
+// Trending scores decay as time passes, so a trending cursor also pins the
+// time its first page was scored at and later pages are scored at that time.
+function encodeCursor(sort, project, at) {
+  const position = { sort, key: sortKey(sort, project), id: project.id };
+  if (sort === 'trending') position.at = at;
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Object.hasOwn(PROJECT_SORT_KEYS, decoded.sort) || !Array.isArray(decoded.key) || typeof decoded.id !== 'string') return null;
+    if (decoded.sort === 'trending' && !Number.isFinite(decoded.at)) return null;
+    return decoded;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Keep only the requested top-level fields
+function selectFields(items, fields) {
+  const wanted = toList(fields);
+  if (wanted.length === 0) return items;
+  return items.map(item => Object.fromEntries(wanted.filter(f => f in item).map(f => [f, item[f]])));
+}
+
+// List projects
+route('get', '/projects', {
+  group: 'Projects',
+  summary: 'List projects with filters, field selection and cursor pagination',
+  query: {
+    properties: {
+      ...PROJECT_QUERY_PROPERTIES,
+      fields: FIELDS_SCHEMA,
+      cursor: { type: 'string', description: 'nextCursor from the previous page' },
+      limit: LIMIT_SCHEMA,
+      offset: OFFSET_SCHEMA
+    }
+  }
+}, (req, res) => {
+  const { limit, offset, cursor, fields } = req.query;
+  const sort = req.query.sort || 'recent';
+  const position = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !position) return res.status(400).json({ error: 'Invalid cursor' });
+  if (position && position.sort !== sort) {
+    return res.status(400).json({ error: `Cursor is for sort=${position.sort}, not sort=${sort}` });
+  }
+
+  const at = position?.at ?? Date.now();
+  let results = queryProjects({ ...req.query, sort }, at);
+  const total = results.length;
+  const count = Math.min(parseInt(limit) || 50, 100);
+
+  // A cursor resumes after the last item it saw, wherever that item is now
+  let start = parseInt(offset) || 0;
+  if (position) {
+    results = results.filter(p => compareSortKeys(sort, sortKey(sort, p), p.id, position.key, position.id) > 0);
+    start = 0;
+  }
+
+  const page = results.slice(start, start + count);
+  const more = results.length > start + count;
+
+  res.json({
+    projects: selectFields(page, fields),
+    total,
+    offset: cursor ? null : start,
+    limit: count,
+    nextCursor: more && page.length ? encodeCursor(sort, page[page.length - 1], at) : null
+  });
+});
+
+// Filter and sort listed projects - shared by /projects, /export, the feeds and the web UI.
+// Trending scores are evaluated at `now`.
+function queryProjects(query, now = Date.now()) {
+  const sort = Object.hasOwn(PROJECT_SORT_KEYS, query.sort) ? query.sort : 'recent';
+  let results = filteredProjects(query).map(withWeightedSupport);
+
+  if (sort === 'trending') {
+    const scores = trendingScores(parseHalfLife(query.halfLife), now);
+    results = results.map(p => ({ ...p, trendingScore: scores.get(p.id) || 0 }));
+  }
+
+  const keyed = results.map(p => ({ p, key: sortKey(sort, p) }));
+  keyed.sort((a, b) => compareSortKeys(sort, a.key, a.p.id, b.key, b.p.id));
+  return keyed.map(({ p }) => p);
+}
+
+// Get project details
+route('get', '/projects/:id', {
+  group: 'Projects',
+  summary: 'Get project details with supporters'
+}, (req, res) => {
+  const project = visibleProject(req);
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+
+  // Get recent supporters, with the delegated weight each one carries
+  const weights = projectDelegatedWeights(project);
+  const projectSignals = Array.from(signals.values())
+    .filter(s => s.projectId === project.id)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, 20)
+    .map(s => withDelegatedWeight(s, weights));
+
+  res.json({
+    ...withWeightedSupport(project),
+    delegators: new Set(Array.from(weights.values()).flatMap(w => w.delegators)).size,
+    recentSupporters: projectSignals,
+    collections: collectionsIncluding(project.id)
+  });
+});
+
+// Projects that look like this one (same matcher as registration)
+route('get', '/projects/:id/similar', {
+  group: 'Projects',
+  summary: 'Possible duplicates by URL, name and owner'
+}, (req, res) => {
+  const project = visibleProject(req);
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+
+  res.json({
+    projectId: project.id,
+    similar: findSimilarProjects(project, project.id)
+  });
+});
+
+// Signal history: every increment and removal, newest first
+route('get', '/projects/:id/history', {
+  group: 'Signals',
+  summary: 'Timestamped signal events for a project',
+  query: { properties: { since: { type: 'integer', minimum: 0, description: 'Unix ms' }, limit: LIMIT_SCHEMA } }
+}, (req, res) => {
+  const project = visibleProject(req);
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+
+  const { since, limit } = req.query;
+  const from = parseInt(since) || 0;
+
+  const events = Array.from(signalEvents.values())
+    .filter(e => e.projectId === project.id && e.createdAt >= from)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  res.json({
+    projectId: project.id,
+    trendingScore: trendingScores().get(project.id) || 0,
+    total: events.length,
+    events: events.slice(0, Math.min(parseInt(limit) || 100, 500))
+  });
+});
+
+// Update project (owners and editors, signed - `owner` is the acting maintainer)
+route('put', '/projects/:id', {
+  group: 'Projects',
+  summary: 'Update project (owners and editors)',
+  signed: true,
+  body: PROJECT_UPDATE_SCHEMA
+}, requireAccess('edit', 'owner'), requireSignature('project.update', 'owner'), (req, res) => {
+  const project = visibleProject(req);
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+
+  const { name, description, url, category, logo, tags } = req.body;
+
+  if (!canEdit(project, req.signer)) {
+    return res.status(403).json({ error: 'Not a project maintainer' });
+  }
+
+  const before = snapshotProject(project);
+
+  // Edit a copy: the stored record only changes inside the transaction, so a
+  // failure there rolls the whole update back
+  const updated = { ...project, updatedAt: Date.now() };
+  if (name) updated.name = name;
+  if (description !== undefined) updated.description = description;
+  if (url !== undefined) updated.url = url;
+  if (logo !== undefined) updated.logo = logo;
+  if (category && categories.has(category)) updated.category = category;
+  if (tags) updated.tags = normalizeTags(tags);
+
+  store.transaction(() => {
+    projects.set(updated.id, updated);
+    reconcileVerification(updated);
+    recordRevision(updated, req.signer, before);
+  });
+  indexProject(updated);
+  emitRegistryEvent('project.updated', { project: updated });
+  res.json(updated);
+});
+
+// Delete project (owners only, signed)
+route('delete', '/projects/:id', {
+  group: 'Projects',
+  summary: 'Delete project (owner only)',
+  signed: true,
+  body: { type: 'object', required: ['owner'], properties: { owner: ADDRESS_SCHEMA } }
+}, requireSignature('project.delete', 'owner'), (req, res) => {
+  const project = visibleProject(req);
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+
+  if (maintainerRole(project, req.signer) !== 'owner') {
+    return res.status(403).json({ error: 'Not project owner' });
+  }
+
+  store.transaction(() => {
+    projects.delete(project.id);
+
+    // Remove signals and their history for this project
+    Array.from(signals.entries())
+      .filter(([_, s]) => s.projectId === project.id)
+      .forEach(([id, _]) => signals.delete(id));
+    Array.from(signalEvents.entries())
+      .filter(([_, e]) => e.projectId === project.id)
+      .forEach(([id, _]) => signalEvents.delete(id));
+    Array.from(revisions.entries())
+      .filter(([_, r]) => r.projectId === project.id)
+      .forEach(([id, _]) => revisions.delete(id));
+    Array.from(maintainerInvites.entries())
+      .filter(([_, i]) => i.projectId === project.id)
+      .forEach(([id, _]) => maintainerInvites.delete(id));
+    projectVerifications(project.id).forEach(v => verifications.delete(v.id));
+    collectionsIncluding(project.id).forEach(({ id }) => {
+      const collection = curations.get(id);
+      collection.items = collection.items.filter(item => item.projectId !== project.id);
+      curations.set(id, collection);
+    });
+  });
+  unindexProject(project.id);
+  emitRegistryEvent('project.deleted', { project });
+
+  res.json({ success: true, deleted: project.id });
+});
+
+// ============================================================================
+// API: MAINTAINERS
+// ============================================================================
+
+// A project has a set of maintainers. Owners can edit, delete and manage the
+// team; editors can only edit. `project.owner` stays the primary owner.
+// Invitations and ownership transfers take effect once the invitee accepts.
+
+const MAINTAINER_ROLES = ['owner', 'editor'];
+const INVITE_TTL = 7 * 24 * 60 * 60 * 1000; // 1 week
+
+function maintainerRole(project, address) {
+  if (!address) return null;
+  const addr = address.toLowerCase();
+  return (project.maintainers || []).find(m => m.address === addr)?.role || null;
+}
+
+function canEdit(project, address) {
+  return MAINTAINER_ROLES.includes(maintainerRole(project, address));
+}
+
+function pendingInvites(projectId) {
+  return Array.from(maintainerInvites.values())
+    .filter(i => i.projectId === projectId && i.status === 'pending' && i.expiresAt > Date.now());
+}
+
+function setMaintainer(project, address, role) {
+  const existing = project.maintainers.find(m => m.address === address);
+  if (existing) existing.role = role;
+  else project.maintainers.push({ address, role, addedAt: Date.now() });
+}
+
+function maintainerProject(req, res) {
+  const project = visibleProject(req);
+  if (!project) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+  return project;
+}
+
+// Current team plus pending invitations
+route('get', '/projects/:id/maintainers', {
+  group: 'Maintainers',
+  summary: 'Project maintainers and pending invites'
+}, (req, res) => {
+  const project = maintainerProject(req, res);
+  if (!project) return;
+
+  res.json({
+    projectId: project.id,
+    owner: project.owner,
+    maintainers: project.maintainers,
+    pendingInvites: pendingInvites(project.id)
+  });
+});
+
+// Invite a maintainer (owners only)
+route('post', '/projects/:id/maintainers/invite', {
+  group: 'Maintainers',
+  summary: 'Invite a maintainer (owners only)',
+  signed: true,
+  status: 201,
+  body: {
+    type: 'object',
+    required: ['owner', 'address'],
+    properties: { owner: ADDRESS_SCHEMA, address: ADDRESS_SCHEMA, role: { type: 'string', enum: MAINTAINER_ROLES } }
+  }
+}, requireSignature('maintainer.invite', 'owner'), (req, res) => {
+  const project = maintainerProject(req, res);
+  if (!project) return;
+
+  const { address, role = 'editor' } = req.body;
+
+  if (maintainerRole(project, req.signer) !== 'owner') {
+    return res.status(403).json({ error: 'Not project owner' });
+  }
+
+  const addr = address.toLowerCase();
+  if (maintainerRole(project, addr) === role) {
+    return res.status(409).json({ error: `Already ${role}` });
+  }
+
+  const invite = {
+    id: uuidv4(),
+    projectId: project.id,
+    address: addr,
+    role,
+    transfer: false,
+    invitedBy: req.signer,
+    status: 'pending',
+    createdAt: Date.now(),
+    expiresAt: Date.now() + INVITE_TTL
+  };
+
+  store.transaction(() => {
+    // A newer invite supersedes any pending one for the same address
+    pendingInvites(project.id)
+      .filter(i => i.address === addr)
+      .forEach(i => maintainerInvites.set(i.id, { ...i, status: 'superseded' }));
+    maintainerInvites.set(invite.id, invite);
+  });
+
+  res.status(201).json(invite);
+});
+
+// Propose transferring primary ownership (owners only). The recipient accepts
+// like any invite; the current owner then stays on as an editor.
+route('post', '/projects/:id/transfer', {
+  group: 'Maintainers',
+  summary: 'Propose an ownership transfer (primary owner only)',
+  signed: true,
+  status: 201,
+  body: {
+    type: 'object',
+    required: ['owner', 'address'],
+    properties: { owner: ADDRESS_SCHEMA, address: ADDRESS_SCHEMA }
+  }
+}, requireSignature('maintainer.transfer', 'owner'), (req, res) => {
+  const project = maintainerProject(req, res);
+  if (!project) return;
+
+  const { address } = req.body;
+
+  if (req.signer !== project.owner) {
+    return res.status(403).json({ error: 'Only the primary owner can transfer ownership' });
+  }
+  const addr = address.toLowerCase();
+  if (addr === project.owner) {
+    return res.status(400).json({ error: 'Already the primary owner' });
+  }
+
+  const invite = {
+    id: uuidv4(),
+    projectId: project.id,
+    address: addr,
+    role: 'owner',
+    transfer: true,
+    invitedBy: req.signer,
+    status: 'pending',
+    createdAt: Date.now(),
+    expiresAt: Date.now() + INVITE_TTL
+  };
+
+  store.transaction(() => {
+    pendingInvites(project.id)
+      .filter(i => i.address === addr || i.transfer)
+      .forEach(i => maintainerInvites.set(i.id, { ...i, status: 'superseded' }));
+    maintainerInvites.set(invite.id, invite);
+  });
+
+  res.status(201).json(invite);
+});
+
+// Accept a pending invite or transfer (the invitee signs)
+route('post', '/projects/:id/maintainers/accept', {
+  group: 'Maintainers',
+  summary: 'Accept an invite or ownership transfer',
+  signed: true,
+  body: { type: 'object', required: ['address'], properties: { address: ADDRESS_SCHEMA } }
+}, requireSignature('maintainer.accept'), (req, res) => {
+  const project = maintainerProject(req, res);
+  if (!project) return;
+
+  const invite = pendingInvites(project.id).find(i => i.address === req.signer);
+  if (!invite) {
+    return res.status(404).json({ error: 'No pending invite for this address' });
+  }
+
+  // Only valid while the inviter still holds the power to grant it: the
+  // primary ownership for a transfer, the owner role for an invite
+  const stale = invite.transfer
+    ? project.owner !== invite.invitedBy
+    : maintainerRole(project, invite.invitedBy) !== 'owner';
+  if (stale) {
+    invite.status = 'expired';
+    maintainerInvites.set(invite.id, invite);
+    return res.status(409).json({
+      error: invite.transfer ? 'Ownership changed since this transfer was proposed' : 'The inviter is no longer an owner',
+      invite
+    });
+  }
+
+  store.transaction(() => {
+    if (invite.transfer) {
+      setMaintainer(project, invite.invitedBy, 'editor');
+      project.owner = invite.address;
+    }
+    setMaintainer(project, invite.address, invite.role);
+    project.updatedAt = Date.now();
+    projects.set(project.id, project);
+
+    invite.status = 'accepted';
+    invite.acceptedAt = Date.now();
+    maintainerInvites.set(invite.id, invite);
+  });
+  emitRegistryEvent('project.updated', { project, maintainer: { address: invite.address, role: invite.role } });
+
+  res.json({ project, invite });
+});
+
+// Remove a maintainer (owners), or leave the team yourself
+route('post', '/projects/:id/maintainers/remove', {
+  group: 'Maintainers',
+  summary: 'Remove a maintainer, or leave',
+  signed: true,
+  body: {
+    type: 'object',
+    required: ['owner', 'address'],
+    properties: { owner: ADDRESS_SCHEMA, address: ADDRESS_SCHEMA }
+  }
+}, requireSignature('maintainer.remove', 'owner'), (req, res) => {
+  const project = maintainerProject(req, res);
+  if (!project) return;
+
+  const addr = req.body.address.toLowerCase();
+
+  if (addr !== req.signer && maintainerRole(project, req.signer) !== 'owner') {
+    return res.status(403).json({ error: 'Not project owner' });
+  }
+  if (!maintainerRole(project, addr)) {
+    return res.status(404).json({ error: 'Not a maintainer' });
+  }
+  if (addr === project.owner) {
+    return res.status(400).json({ error: 'Transfer ownership before removing the primary owner' });
+  }
+
+  store.transaction(() => {
+    project.maintainers = project.maintainers.filter(m => m.address !== addr);
+    project.updatedAt = Date.now();
+    projects.set(project.id, project);
+
+    // Invites sent by a departing maintainer go with them
+    pendingInvites(project.id)
+      .filter(i => i.invitedBy === addr)
+      .forEach(i => maintainerInvites.set(i.id, { ...i, status: 'revoked' }));
+  });
+  emitRegistryEvent('project.updated', { project, maintainer: { address: addr, role: null } });
+
+  res.json({ project, removed: addr });
+});
+
+// Everything an address maintains
+route('get', '/owners/:address/projects', {
+  group: 'Maintainers',
+  summary: 'Projects an address maintains',
+  params: { address: ADDRESS_SCHEMA }
+}, (req, res) => {
+  const addr = req.params.address.toLowerCase();
+  const result = Array.from(projects.values())
+    .filter(p => maintainerRole(p, addr) && canSeeProject(req, p))
+    .map(p => ({ ...p, role: maintainerRole(p, addr), primaryOwner: p.owner === addr }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  res.json({
+    address: addr,
+    total: result.length,
+    projects: result,
+    pendingInvites: Array.from(maintainerInvites.values())
+      .filter(i => i.address === addr && i.status === 'pending' && i.expiresAt > Date.now())
+  });
+});
+
+// ============================================================================
+// API: REVISIONS
+// ============================================================================
+
+const REVISION_FIELDS = ['name', 'description', 'url', 'logo', 'category', 'tags'];
+
+function snapshotProject(project) {
+  const snapshot = {};
+  REVISION_FIELDS.forEach(f => {
+    snapshot[f] = Array.isArray(project[f]) ? [...project[f]] : project[f];
+  });
+  return snapshot;
+}
+
+// Field-level diff: { field: { from, to } } for every field that changed
+function diffSnapshots(before, after) {
+  const diff = {};
+  REVISION_FIELDS.forEach(f => {
+    if (JSON.stringify(before?.[f]) !== JSON.stringify(after[f])) {
+      diff[f] = { from: before ? before[f] : null, to: after[f] };
+    }
+  });
+  return diff;
+}
+
+function projectRevisions(projectId) {
+  return Array.from(revisions.values())
+    .filter(r => r.projectId === projectId)
+    .sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Record the project's current state as a new revision if it differs from
+ * `before`. The first revision is always recorded.
+ */
+function recordRevision(project, author, before, rollbackOf = null) {
+  const after = snapshotProject(project);
+  const changedFields = Object.keys(diffSnapshots(before, after));
+  if (project.revision > 0 && changedFields.length === 0) return null;
+
+  const revision = {
+    id: uuidv4(),
+    projectId: project.id,
+    number: project.revision + 1,
+    author,
+    createdAt: Date.now(),
+    changedFields,
+    rollbackOf,
+    snapshot: after
+  };
+  revisions.set(revision.id, revision);
+
+  project.revision = revision.number;
+  projects.set(project.id, project);
+  return revision;
+}
+
+// Revision history with field-level diffs against the previous revision
+route('get', '/projects/:id/revisions', {
+  group: 'Revisions',
+  summary: 'Revision history with field-level diffs'
+}, (req, res) => {
+  const project = visibleProject(req);
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+
+  const history = projectRevisions(project.id);
+  const result = history.map((r, i) => ({
+    ...r,
+    diff: diffSnapshots(i === 0 ? null : history[i - 1].snapshot, r.snapshot)
+  }));
+
+  res.json({
+    projectId: project.id,
+    currentRevision: project.revision,
+    revisions: result.reverse()
+  });
+});
+
+// Roll back to an earlier revision (owners and editors, signed). Recorded as a new revision.
+route('post', '/projects/:id/rollback', {
+  group: 'Revisions',
+  summary: 'Roll back to an earlier revision (owners and editors)',
+  signed: true,
+  body: {
+    type: 'object',
+    required: ['owner', 'revision'],
+    properties: { owner: ADDRESS_SCHEMA, revision: { type: 'integer', minimum: 1 } }
+  }
+}, requireAccess('edit', 'owner'), requireSignature('project.rollback', 'owner'), (req, res) => {
+  const project = visibleProject(req);
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+
+  if (!canEdit(project, req.signer)) {
+    return res.status(403).json({ error: 'Not a project maintainer' });
+  }
+
+  const number = parseInt(req.body.revision);
+  const target = projectRevisions(project.id).find(r => r.number === number);
+  if (!target) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+
+  const before = snapshotProject(project);
+  const restored = { ...project, ...structuredClone(target.snapshot), updatedAt: Date.now() };
+
+  const revision = store.transaction(() => {
+    projects.set(restored.id, restored);
+    reconcileVerification(restored);
+    return recordRevision(restored, req.signer, before, target.number);
+  });
+  indexProject(restored);
+  emitRegistryEvent('project.updated', { project: restored, rollbackOf: target.number });
+
+  res.json({ project: restored, revision });
+});
+
+// ============================================================================
+// API: VERIFICATION
+// ============================================================================
+
+// A maintainer asks for a challenge token and publishes it either at
+// https://<domain>/.well-known/registry-verification.txt (method "domain", the
+// host of the project url) or as registry-verification.txt at the root of a
+// GitHub repo (method "github"). A project is `verified` once the host of its
+// url is proven - by the domain file, or by the repo file when the url is that
+// GitHub repo. Verified GitHub repos also show up in `linkedAccounts`.
+// Verified records are re-checked every VERIFICATION_RECHECK_MS and revoked
+// after VERIFICATION_MAX_FAILURES failed checks in a row, or as soon as the
+// project url moves to a different host.
+//
+// Fetches never follow redirects, read at most VERIFICATION_MAX_BYTES, and
+// refuse hosts that resolve to loopback, private or link-local addresses -
+// checked on the address the connection is actually made to.
+// Fetch URLs come from templates so a local stub server can stand in, e.g.
+// VERIFICATION_DOMAIN_URL=http://127.0.0.1:4000/{domain} with
+// VERIFICATION_ALLOW_PRIVATE=true. Embedders can also replace the fetcher
+// itself with app.set('verification fetcher', async url => text).
+
+const VERIFICATION_METHODS = ['domain', 'github'];
+const VERIFICATION_FILE = 'registry-verification.txt';
+const VERIFICATION_DOMAIN_URL = process.env.VERIFICATION_DOMAIN_URL || 'https://{domain}';
+const VERIFICATION_GITHUB_URL = process.env.VERIFICATION_GITHUB_URL || 'https://raw.githubusercontent.com/{repo}/HEAD';
+const VERIFICATION_TIMEOUT_MS = 5000;
+const VERIFICATION_MAX_BYTES = 4096;
+const VERIFICATION_RECHECK_MS = parseInt(process.env.VERIFICATION_RECHECK_MS) || 6 * 60 * 60 * 1000; // 6 hours
+const VERIFICATION_MAX_FAILURES = parseInt(process.env.VERIFICATION_MAX_FAILURES) || 3;
+const VERIFICATION_ALLOW_PRIVATE = process.env.VERIFICATION_ALLOW_PRIVATE === 'true';
+const GITHUB_REPO_PATTERN = /^[A-Za-z0-9-]+\/[A-Za-z0-9._-]+$/;
+
+// Addresses a verification fetch or webhook delivery must never reach
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+// IPv4-mapped IPv6 (::ffff:a.b.c.d) is matched by the IPv4 rules above; a
+// ::ffff:0:0/96 rule here would match every IPv4 address, public ones too
+[['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function blockedAddress(addresses) {
+  return addresses.find(a => PRIVATE_ADDRESSES.check(a.address, a.family === 6 ? 'ipv6' : 'ipv4'));
+}
+
+async function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const blocked = blockedAddress(await dns.promises.lookup(host, { all: true }));
+  if (blocked) throw new Error(`${host} resolves to a non-public address (${blocked.address})`);
+}
+
+// dns.lookup for http(s).request that refuses non-public answers. The socket
+// connects to the very address checked here, so a rebinding DNS server can't
+// hand a public address to a separate check and a private one to the connect.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = blockedAddress(addresses);
+    if (blocked) return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * One HTTP(S) request to a host that must be public unless `allowPrivate`.
+ * Redirects aren't followed and at most `maxBytes` of the body are read.
+ * Resolves to { status, ok, body } with the body as a string.
+ */
+function requestPublic(url, { method = 'GET', headers = {}, body, timeout, maxBytes = 64 * 1024, allowPrivate = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    // IP literals skip the lookup, so check them here
+    const literal = target.hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivate && net.isIP(literal) && blockedAddress([{ address: literal, family: net.isIP(literal) }])) {
+      return reject(new Error(`${literal} is a non-public address`));
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Length': Buffer.byteLength(body), ...headers },
+      lookup: allowPrivate ? undefined : publicLookup,
+      signal: AbortSignal.timeout(timeout)
+    }, res => {
+      const chunks = [];
+      let size = 0;
+      const finish = () => resolve({
+        status: res.statusCode,
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        body: Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8')
+      });
+      // Stop reading at the cap, however large the response is
+      res.on('data', chunk => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= maxBytes) {
+          res.destroy();
+          finish();
+        }
+      });
+      res.on('end', finish);
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function fetchVerificationFile(url) {
+  const res = await requestPublic(url, {
+    timeout: VERIFICATION_TIMEOUT_MS,
+    maxBytes: VERIFICATION_MAX_BYTES,
+    allowPrivate: VERIFICATION_ALLOW_PRIVATE
+  });
+  if (res.status >= 300 && res.status < 400) {
+    throw new Error(`HTTP ${res.status} from ${url} - redirects are not followed, serve the file directly`);
+  }
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+  return res.body;
+}
+
+// Host of the project url, if it's something we can fetch from
+function projectDomain(project) {
+  if (!project.url) return null;
+  try {
+    const host = new URL(project.url).hostname.toLowerCase().replace(/^www\./, '');
+    // No bare hostnames or IP literals
+    if (!host.includes('.') || /^[\d.]+$/.test(host) || host.includes(':')) return null;
+    return host;
+  } catch (err) {
+    return null;
+  }
+}
+
+// "owner/repo" when the project url is a GitHub repo
+function projectGithubRepo(project) {
+  if (!project.url) return null;
+  try {
+    const parsed = new URL(project.url);
+    if (parsed.hostname.toLowerCase().replace(/^www\./, '') !== 'github.com') return null;
+    const repo = parsed.pathname.split('/').filter(Boolean).slice(0, 2).join('/').replace(/\.git$/, '');
+    return GITHUB_REPO_PATTERN.test(repo) ? repo.toLowerCase() : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function verificationUrl(method, target) {
+  return method === 'domain'
+    ? `${VERIFICATION_DOMAIN_URL.replace('{domain}', target)}/.well-known/${VERIFICATION_FILE}`
+    : `${VERIFICATION_GITHUB_URL.replace('{repo}', target)}/${VERIFICATION_FILE}`;
+}
+
+function projectVerifications(projectId) {
+  return VERIFICATION_METHODS
+    .map(method => verifications.get(`${projectId}:${method}`))
+    .filter(Boolean);
+}
+
+// Recompute project.verified and project.linkedAccounts from the records
+function syncProjectVerification(project) {
+  const verified = projectVerifications(project.id).filter(v => v.status === 'verified');
+  const domain = verified.find(v => v.method === 'domain');
+  const github = verified.find(v => v.method === 'github');
+
+  project.linkedAccounts = github ? { github: github.target } : {};
+  project.verified = Boolean(
+    (domain && domain.target === projectDomain(project)) ||
+    (github && github.target === projectGithubRepo(project))
+  );
+}
+
+function revokeVerification(record, reason) {
+  record.status = 'revoked';
+  record.revokedAt = Date.now();
+  record.lastError = reason;
+  verifications.set(record.id, record);
+}
+
+// After a url change: drop a domain verification for the old host. Call inside a transaction.
+function reconcileVerification(project) {
+  const domain = verifications.get(`${project.id}:domain`);
+  if (domain && domain.status !== 'revoked' && domain.target !== projectDomain(project)) {
+    revokeVerification(domain, 'Project url moved to a different domain');
+  }
+  syncProjectVerification(project);
+}
+
+/**
+ * Fetch the challenge file for one record and update it. Resolves to the
+ * record; never throws.
+ */
+async function checkVerification(record) {
+  const fetcher = app.get('verification fetcher') || fetchVerificationFile;
+  let error = null;
+  try {
+    const body = await fetcher(verificationUrl(record.method, record.target));
+    const lines = String(body).split(/\r?\n/).map(line => line.trim());
+    if (!lines.includes(record.token)) error = 'Token not found in verification file';
+  } catch (err) {
+    error = err.message;
+  }
+
+  const project = projects.get(record.projectId);
+  const current = verifications.get(record.id);
+  if (!project || !current || current.token !== record.token) return record; // changed while fetching
+
+  const wasVerified = current.status === 'verified';
+  current.checkedAt = Date.now();
+  current.lastError = error;
+  if (!error) {
+    current.status = 'verified';
+    current.verifiedAt = current.verifiedAt || current.checkedAt;
+    current.failures = 0;
+  } else if (wasVerified) {
+    current.failures = (current.failures || 0) + 1;
+    if (current.failures >= VERIFICATION_MAX_FAILURES) revokeVerification(current, error);
+  }
+
+  store.transaction(() => {
+    verifications.set(current.id, current);
+    syncProjectVerification(project);
+    projects.set(project.id, project);
+  });
+  if (wasVerified !== (current.status === 'verified')) {
+    indexProject(project);
+    emitRegistryEvent('project.updated', { project, verification: publicVerification(current) });
+  }
+  return current;
+}
+
+function publicVerification(record) {
+  return {
+    ...record,
+    url: verificationUrl(record.method, record.target)
+  };
+}
+
+// Periodic re-check of verified records
+async function recheckVerifications() {
+  const due = Array.from(verifications.values())
+    .filter(v => v.status === 'verified' && Date.now() - (v.checkedAt || 0) >= VERIFICATION_RECHECK_MS);
+  for (const record of due) await checkVerification(record);
+}
+
+setInterval(() => {
+  recheckVerifications().catch(err => console.error('Verification re-check failed:', err.message));
+}, Math.min(VERIFICATION_RECHECK_MS, 60 * 60 * 1000)).unref();
+
+// Issue a challenge token (owners and editors, signed)
+route('post', '/projects/:id/verification', {
+  group: 'Verification',
+  summary: 'Start domain or GitHub repo verification and get a challenge token',
+  signed: true,
+  status: 201,
+  body: {
+    type: 'object',
+    required: ['owner', 'method'],
+    properties: {
+      owner: ADDRESS_SCHEMA,
+      method: { type: 'string', enum: VERIFICATION_METHODS },
+      repo: { type: 'string', pattern: GITHUB_REPO_PATTERN.source, description: 'owner/repo (github; defaults to the project url)' }
+    }
+  }
+}, requireSignature('project.verify', 'owner'), (req, res) => {
+  const project = visibleProject(req);
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+
+  if (!canEdit(project, req.signer)) {
+    return res.status(403).json({ error: 'Not a project maintainer' });
+  }
+
+  const { method } = req.body;
+  const target = method === 'domain'
+    ? projectDomain(project)
+    : (req.body.repo || '').toLowerCase() || projectGithubRepo(project);
+  if (!target) {
+    return res.status(400).json({
+      error: method === 'domain'
+        ? 'Project url has no verifiable domain'
+        : 'repo required when the project url is not a GitHub repo'
+    });
+  }
+
+  const id = `${project.id}:${method}`;
+  const existing = verifications.get(id);
+  if (existing && existing.target === target && existing.status !== 'revoked') {
+    return res.json(publicVerification(existing));
+  }
+
+  const record = {
+    id,
+    projectId: project.id,
+    method,
+    target,
+    token: `registry-verification=${crypto.randomBytes(16).toString('hex')}`,
+    status: 'pending',
+    requestedBy: req.signer,
+    issuedAt: Date.now(),
+    verifiedAt: null,
+    checkedAt: null,
+    failures: 0,
+    lastError: null
+  };
+  store.transaction(() => {
+    verifications.set(id, record);
+    syncProjectVerification(project);
+    projects.set(project.id, project);
+  });
+
+  res.status(201).json(publicVerification(record));
+});
+
+// Fetch the challenge file(s) now. Anyone may trigger a check; it only ever
+// fetches the project's own domain or repo.
+route('post', '/projects/:id/verification/check', {
+  group: 'Verification',
+  summary: 'Check published challenge tokens now',
+  body: { type: 'object', properties: { method: { type: 'string', enum: VERIFICATION_METHODS } } }
+}, rateLimit('verify', req => req.ip), async (req, res) => {
+  const project = visibleProject(req);
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+
+  const records = projectVerifications(project.id)
+    .filter(v => v.status !== 'revoked' && (!req.body?.method || v.method === req.body.method));
+  if (records.length === 0) {
+    return res.status(404).json({ error: 'No verification in progress - request a token first' });
+  }
+
+  const results = [];
+  for (const record of records) results.push(publicVerification(await checkVerification(record)));
+
+  const updated = projects.get(project.id);
+  res.json({ projectId: project.id, verified: updated.verified, linkedAccounts: updated.linkedAccounts, verifications: results });
+});
+
+route('get', '/projects/:id/verification', {
+  group: 'Verification',
+  summary: 'Verification status and challenge tokens'
+}, (req, res) => {
+  const project = visibleProject(req);
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+
+  res.json({
+    projectId: project.id,
+    verified: project.verified,
+    linkedAccounts: project.linkedAccounts,
+    verifications: projectVerifications(project.id).map(publicVerification)
+  });
+});
+
+// ============================================================================
+// API: SIGNALS (Support)
+// ============================================================================
+
+// In "linear" mode (default) any amount can be signalled and every unit counts
+// as one credit, so a signal is worth sqrt(credits) votes. In "quadratic" mode
+// `amount` is a number of votes: each supporter gets VOICE_CREDITS_PER_EPOCH
+// credits per epoch, and holding N votes on one project in an epoch costs N²
+// credits. A project's quadraticScore is the sum of its signals' votes.
+
+const SIGNAL_MODE = process.env.SIGNAL_MODE === 'quadratic' ? 'quadratic' : 'linear';
+const VOICE_CREDITS_PER_EPOCH = parseInt(process.env.VOICE_CREDITS_PER_EPOCH) || 100;
+const EPOCH_LENGTH = parseInt(process.env.EPOCH_LENGTH_MS) || 7 * 24 * 60 * 60 * 1000; // 1 week
+const SIGNAL_MESSAGE_MAX = 280;
+
+function currentEpoch(now = Date.now()) {
+  return Math.floor(now / EPOCH_LENGTH);
+}
+
+function voiceCredits(address, now = Date.now()) {
+  const epoch = currentEpoch(now);
+  const spent = Array.from(signals.values())
+    .filter(s => s.address === address && s.epoch === epoch)
+    .reduce((sum, s) => sum + s.epochVotes * s.epochVotes, 0);
+
+  return {
+    mode: SIGNAL_MODE,
+    epoch,
+    budget: VOICE_CREDITS_PER_EPOCH,
+    spent,
+    remaining: Math.max(0, VOICE_CREDITS_PER_EPOCH - spent),
+    resetsAt: (epoch + 1) * EPOCH_LENGTH
+  };
+}
+
+// Price `requested` more votes for a supporter's (possibly new) signal
+function quoteSignal(signal, address, requested, now = Date.now()) {
+  if (SIGNAL_MODE === 'linear') {
+    const credits = (signal?.credits || 0) + requested;
+    return { cost: requested, credits, votes: Math.sqrt(credits), epochVotes: 0, epoch: null };
+  }
+
+  const epoch = currentEpoch(now);
+  const held = signal && signal.epoch === epoch ? signal.epochVotes : 0;
+  const cost = (held + requested) ** 2 - held ** 2;
+
+  return {
+    cost,
+    credits: (signal?.credits || 0) + cost,
+    votes: (signal?.votes || 0) + requested,
+    epochVotes: held + requested,
+    epoch,
+    available: voiceCredits(address, now).remaining
+  };
+}
+
+function recordSignalEvent(signal, type, amount, votes) {
+  const event = {
+    id: uuidv4(),
+    signalId: signal.id,
+    projectId: signal.projectId,
+    address: signal.address,
+    type,
+    amount,
+    votes,
+    revision: projects.get(signal.projectId)?.revision ?? null,
+    createdAt: Date.now()
+  };
+  signalEvents.set(event.id, event);
+  return event;
+}
+
+// Trending: every increment of a still-active signal decays by half each
+// `halfLife` milliseconds up to `now`; later increments don't count yet.
+// Returns projectId -> score.
+const TRENDING_HALF_LIFE = (parseFloat(process.env.TRENDING_HALF_LIFE_HOURS) || 72) * 60 * 60 * 1000;
+
+function trendingScores(halfLife = TRENDING_HALF_LIFE, now = Date.now()) {
+  const scores = new Map();
+  for (const e of signalEvents.values()) {
+    if (e.type !== 'add' || e.createdAt > now || !signals.has(e.signalId)) continue;
+    const weight = Math.pow(0.5, (now - e.createdAt) / halfLife);
+    scores.set(e.projectId, (scores.get(e.projectId) || 0) + e.amount * weight);
+  }
+  return scores;
+}
+
+function parseHalfLife(hours) {
+  const h = parseFloat(hours);
+  return h > 0 ? h * 60 * 60 * 1000 : TRENDING_HALF_LIFE;
+}
+
+// Signal support for a project
+route('post', '/projects/:id/signal', {
+  group: 'Signals',
+  summary: 'Signal support for project',
+  signed: true,
+  status: 201,
+  body: {
+    type: 'object',
+    required: ['address'],
+    properties: {
+      address: ADDRESS_SCHEMA,
+      amount: { type: 'integer', minimum: 1, maximum: 100, description: 'Votes in quadratic mode' },
+      message: { type: 'string', maxLength: SIGNAL_MESSAGE_MAX }
+    }
+  }
+}, requireAccess('signal'), requireSignature('signal.add'), rateLimit('signal', req => req.signer, { refundRejected: true }), (req, res) => {
+  const project = projects.get(req.params.id);
+  if (!project || project.status === 'removed') return res.status(404).json({ error: 'Project not found' });
+  if (project.status === 'hidden') return res.status(409).json({ error: 'Project is hidden pending moderation review' });
+
+  const { address, amount: signalAmount = 1, message } = req.body;
+
+  // Check if already signaled
+  const existing = Array.from(signals.values())
+    .find(s => s.projectId === project.id && s.address === address.toLowerCase());
+
+  const quote = quoteSignal(existing, address.toLowerCase(), signalAmount);
+  if (SIGNAL_MODE === 'quadratic' && quote.cost > quote.available) {
+    return res.status(400).json({
+      error: 'Insufficient voice credits',
+      cost: quote.cost,
+      voiceCredits: voiceCredits(address.toLowerCase())
+    });
+  }
+
+  if (existing) {
+    // Update existing signal
+    store.transaction(() => {
+      project.quadraticScore += quote.votes - existing.votes;
+      recordSignalEvent(existing, 'add', signalAmount, quote.votes - existing.votes);
+
+      existing.amount += signalAmount;
+      existing.credits = quote.credits;
+      existing.votes = quote.votes;
+      existing.epoch = quote.epoch;
+      existing.epochVotes = quote.epochVotes;
+      existing.revision = project.revision;
+      existing.message = message || existing.message;
+      existing.updatedAt = Date.now();
+      signals.set(existing.id, existing);
+
+      project.totalSignal += signalAmount;
+      projects.set(project.id, project);
+    });
+    emitRegistryEvent('signal.added', { signal: existing, project, amount: signalAmount });
+
+    return res.json({
+      signal: existing,
+      project: {
+        id: project.id,
+        name: project.name,
+        supportCount: project.supportCount,
+        totalSignal: project.totalSignal,
+        delegatedSignal: projectDelegation(project.id).amount,
+        quadraticScore: project.quadraticScore
+      },
+      delegatedWeight: withDelegatedWeight(existing, delegatedWeights()).delegatedAmount,
+      voiceCredits: voiceCredits(existing.address)
+    });
+  }
+
+  const signal = {
+    id: uuidv4(),
+    projectId: project.id,
+    address: address.toLowerCase(),
+    amount: signalAmount,
+    credits: quote.credits,
+    votes: quote.votes,
+    epoch: quote.epoch,
+    epochVotes: quote.epochVotes,
+    revision: project.revision,
+    message: message || null,
+    createdAt: Date.now()
+  };
+
+  store.transaction(() => {
+    signals.set(signal.id, signal);
+    recordSignalEvent(signal, 'add', signalAmount, signal.votes);
+
+    // Update project stats
+    project.supportCount++;
+    project.totalSignal += signalAmount;
+    project.quadraticScore += signal.votes;
+    projects.set(project.id, project);
+  });
+
+  emitRegistryEvent('signal.added', { signal, project, amount: signalAmount });
+  console.log(`[SIGNAL] ${address.slice(0, 10)}... supported ${project.name} with ${signalAmount}`);
+
+  res.status(201).json({
+    signal,
+    project: {
+      id: project.id,
+      name: project.name,
+      supportCount: project.supportCount,
+      totalSignal: project.totalSignal,
+      delegatedSignal: projectDelegation(project.id).amount,
+      quadraticScore: project.quadraticScore
+    },
+    delegatedWeight: withDelegatedWeight(signal, delegatedWeights()).delegatedAmount,
+    voiceCredits: voiceCredits(signal.address)
+  });
+});
+
+// Remove signal (supporter only, signed)
+route('delete', '/projects/:id/signal', {
+  group: 'Signals',
+  summary: 'Remove support signal',
+  signed: true,
+  body: { type: 'object', required: ['address'], properties: { address: ADDRESS_SCHEMA } }
+}, requireSignature('signal.remove'), (req, res) => {
+  const project = projects.get(req.params.id);
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+
+  const existing = Array.from(signals.values())
+    .find(s => s.projectId === project.id && s.address === req.signer);
+
+  if (!existing) {
+    return res.status(404).json({ error: 'Signal not found' });
+  }
+
+  store.transaction(() => {
+    // Update project stats
+    project.supportCount = Math.max(0, project.supportCount - 1);
+    project.totalSignal = Math.max(0, project.totalSignal - existing.amount);
+    project.quadraticScore = Math.max(0, project.quadraticScore - existing.votes);
+    projects.set(project.id, project);
+
+    signals.delete(existing.id);
+    recordSignalEvent(existing, 'remove', -existing.amount, -existing.votes);
+  });
+  emitRegistryEvent('signal.removed', { signal: existing, project });
+
+  res.json({ success: true, removed: existing.id });
+});
+
+// Get supporter's signals
+route('get', '/supporters/:address', {
+  group: 'Signals',
+  summary: 'Supporter\'s signalled projects, voice credits and reputation',
+  params: { address: ADDRESS_SCHEMA }
+}, (req, res) => {
+  const addr = req.params.address.toLowerCase();
+  const active = activeDelegations();
+  const weights = delegatedWeights();
+  const supporterSignals = Array.from(signals.values())
+    .filter(s => s.address === addr && canSeeProject(req, projects.get(s.projectId)))
+    .map(s => {
+      const project = projects.get(s.projectId);
+      const weighted = withDelegatedWeight(s, weights);
+      // Fields the project changed since this supporter last signalled
+      const backed = project && projectRevisions(project.id).find(r => r.number === s.revision);
+      const changedSinceSignal = backed
+        ? Object.keys(diffSnapshots(backed.snapshot, snapshotProject(project)))
+        : [];
+      return {
+        ...weighted,
+        projectName: project?.name,
+        projectCategory: project?.category,
+        projectRevision: project?.revision,
+        changedSinceSignal
+      };
+    })
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  const totalSignal = supporterSignals.reduce((sum, s) => sum + s.amount, 0);
+  const delegatedSignal = round(supporterSignals.reduce((sum, s) => sum + s.delegatedAmount, 0));
+
+  res.json({
+    address: addr,
+    projectsSupported: supporterSignals.length,
+    totalSignal,
+    delegatedSignal,
+    combinedSignal: round(totalSignal + delegatedSignal),
+    delegations: {
+      given: active.filter(d => d.delegator === addr),
+      received: active.filter(d => d.delegate === addr)
+    },
+    voiceCredits: voiceCredits(addr),
+    reputation: reputationOf(addr),
+    signals: supporterSignals
+  });
+});
+
+// ============================================================================
+// API: DELEGATION
+// ============================================================================
+
+// An address can lend its signalling power to a trusted curator, for every
+// category or for one. The delegator's unspent voice credits back the signals
+// the delegate holds in that scope: while the budget covers the credits those
+// signals cost, each counts once more in full; past that, all of them are
+// scaled down so a delegator never backs more than they have left. Every
+// delegator's share is then weighted by their reputation (reputationOf), so
+// fresh or clustered addresses lend little. Credits a delegator spends
+// themselves shrink what they lend, so nothing is counted twice.
+// A category delegation beats a catch-all one, delegation doesn't chain, and
+// a delegator who signals a project directly drops out of the delegate's
+// weight on that project. Delegated weight is derived alongside reputation
+// (reputationSnapshot), never stored: project.totalSignal and quadraticScore
+// stay direct, and project views add delegatedSignal, delegatedVotes and the
+// combined figures the signal and quadratic sorts rank by.
+
+function activeDelegations() {
+  return Array.from(delegations.values()).filter(d => d.status === 'active');
+}
+
+// (delegate, category) -> delegators whose power goes to that delegate there
+function delegationIndex(active = activeDelegations()) {
+  const scoped = new Set();      // `${delegator}|${category}` with a category delegation
+  const byScope = new Map();     // `${delegate}|${category}` -> delegators
+  const byCatchAll = new Map();  // delegate -> catch-all delegators
+  const push = (map, key, value) => map.set(key, [...(map.get(key) || []), value]);
+
+  active.forEach(d => {
+    if (d.category === null) {
+      push(byCatchAll, d.delegate, d.delegator);
+    } else {
+      scoped.add(`${d.delegator}|${d.category}`);
+      push(byScope, `${d.delegate}|${d.category}`, d.delegator);
+    }
+  });
+
+  return (delegate, category) => [
+    ...(byScope.get(`${delegate}|${category}`) || []),
+    ...(byCatchAll.get(delegate) || []).filter(d => !scoped.has(`${d}|${category}`))
+  ];
+}
+
+/**
+ * Delegated weight on every backed signal, given each address's reputation
+ * weight: signalId -> { projectId, delegators, amount, votes }.
+ */
+function computeDelegatedWeights(weightOf, now = Date.now()) {
+  const delegatorsFor = delegationIndex();
+  const all = Array.from(signals.values());
+  const direct = new Set(all.map(s => `${s.address}|${s.projectId}`));
+  const epoch = currentEpoch(now);
+
+  // Signals each delegator stands behind, the credits they cost in total and
+  // what each delegator has spent themselves this epoch (as voiceCredits does)
+  const backed = [];
+  const drawn = new Map();
+  const spent = new Map();
+  all.forEach(s => {
+    if (s.epoch === epoch) spent.set(s.address, (spent.get(s.address) || 0) + s.epochVotes * s.epochVotes);
+
+    const project = projects.get(s.projectId);
+    if (!project) return;
+    const delegators = delegatorsFor(s.address, project.category)
+      .filter(d => !direct.has(`${d}|${s.projectId}`));
+    if (delegators.length === 0) return;
+    backed.push({ signal: s, delegators });
+    delegators.forEach(d => drawn.set(d, (drawn.get(d) || 0) + s.credits));
+  });
+
+  const share = new Map();
+  drawn.forEach((credits, d) => {
+    const remaining = Math.max(0, VOICE_CREDITS_PER_EPOCH - (spent.get(d) || 0));
+    const covered = credits > 0 ? Math.min(1, remaining / credits) : 0;
+    share.set(d, covered * weightOf(d));
+  });
+
+  const weights = new Map();
+  backed.forEach(({ signal, delegators }) => {
+    const scale = delegators.reduce((sum, d) => sum + share.get(d), 0);
+    weights.set(signal.id, {
+      projectId: signal.projectId,
+      delegators,
+      amount: round(signal.amount * scale),
+      votes: round(signal.votes * scale)
+    });
+  });
+  return weights;
+}
+
+// Delegated weight on every backed signal, as of the current reputation snapshot
+function delegatedWeights() {
+  return reputationSnapshot().delegated;
+}
+
+// Delegated weight on one project's signals
+function projectDelegatedWeights(project, weights = delegatedWeights()) {
+  return new Map(Array.from(weights).filter(([, w]) => w.projectId === project.id));
+}
+
+// A project's delegated totals: { amount, votes }
+function projectDelegation(projectId) {
+  return reputationSnapshot().projectDelegated.get(projectId) || { amount: 0, votes: 0 };
+}
+
+// project.updated for the projects whose delegated weight a delegation change
+// moves: the ones signalled by the delegates involved
+function emitDelegatedUpdates(delegates) {
+  const ids = new Set(Array.from(signals.values())
+    .filter(s => delegates.includes(s.address))
+    .map(s => s.projectId));
+  ids.forEach(id => {
+    const project = projects.get(id);
+    if (project && isListed(project)) emitRegistryEvent('project.updated', { project: withWeightedSupport(project) });
+  });
+}
+
+// Signal with the delegated weight it carries
+function withDelegatedWeight(signal, weights) {
+  const weight = weights.get(signal.id);
+  return {
+    ...signal,
+    delegators: weight ? weight.delegators : [],
+    delegatedAmount: weight ? weight.amount : 0,
+    combinedAmount: round(signal.amount + (weight ? weight.amount : 0))
+  };
+}
+
+// Delegate signalling power (signed by the delegator). Replaces any active
+// delegation with the same scope.
+route('post', '/delegations', {
+  group: 'Delegation',
+  summary: 'Delegate signalling power to another address, optionally for one category',
+  signed: true,
+  status: 201,
+  body: {
+    type: 'object',
+    required: ['delegator', 'delegate'],
+    properties: {
+      delegator: ADDRESS_SCHEMA,
+      delegate: ADDRESS_SCHEMA,
+      category: { type: 'string', enum: Array.from(categories), description: 'Omit to delegate for every category' }
+    }
+  }
+}, requireAccess('signal', 'delegator'), requireSignature('delegation.create', 'delegator'), (req, res) => {
+  const delegator = req.signer;
+  const delegate = req.body.delegate.toLowerCase();
+  const category = req.body.category || null;
+
+  if (delegate === delegator) {
+    return res.status(400).json({ error: 'Cannot delegate to yourself' });
+  }
+
+  const replaced = activeDelegations().find(d => d.delegator === delegator && d.category === category);
+  const delegation = {
+    id: uuidv4(),
+    delegator,
+    delegate,
+    category,
+    status: 'active',
+    createdAt: Date.now(),
+    revokedAt: null
+  };
+
+  store.transaction(() => {
+    if (replaced) {
+      replaced.status = 'revoked';
+      replaced.revokedAt = Date.now();
+      delegations.set(replaced.id, replaced);
+    }
+    delegations.set(delegation.id, delegation);
+  });
+  emitDelegatedUpdates(replaced ? [delegate, replaced.delegate] : [delegate]);
+  console.log(`[DELEGATION] ${delegator.slice(0, 10)}... -> ${delegate.slice(0, 10)}... (${category || 'all categories'})`);
+
+  res.status(201).json({ delegation, replaced: replaced ? replaced.id : null });
+});
+
+// Revoke a delegation (delegator only, signed)
+route('delete', '/delegations/:id', {
+  group: 'Delegation',
+  summary: 'Revoke a delegation (delegator only)',
+  signed: true,
+  body: { type: 'object', required: ['delegator'], properties: { delegator: ADDRESS_SCHEMA } }
+}, requireSignature('delegation.revoke', 'delegator'), (req, res) => {
+  const delegation = delegations.get(req.params.id);
+  if (!delegation) return res.status(404).json({ error: 'Delegation not found' });
+
+  if (delegation.delegator !== req.signer) {
+    return res.status(403).json({ error: 'Not the delegator' });
+  }
+  if (delegation.status !== 'active') {
+    return res.status(409).json({ error: 'Delegation already revoked' });
+  }
+
+  store.transaction(() => {
+    delegation.status = 'revoked';
+    delegation.revokedAt = Date.now();
+    delegations.set(delegation.id, delegation);
+  });
+  emitDelegatedUpdates([delegation.delegate]);
+
+  res.json({ success: true, delegation });
+});
+
+// List delegations
+route('get', '/delegations', {
+  group: 'Delegation',
+  summary: 'List delegations by delegator, delegate or status',
+  query: {
+    properties: {
+      delegator: ADDRESS_SCHEMA,
+      delegate: ADDRESS_SCHEMA,
+      status: { type: 'string', enum: ['active', 'revoked'] },
+      limit: LIMIT_SCHEMA
+    }
+  }
+}, (req, res) => {
+  const { delegator, delegate, status, limit } = req.query;
+  const result = Array.from(delegations.values())
+    .filter(d => !delegator || d.delegator === delegator.toLowerCase())
+    .filter(d => !delegate || d.delegate === delegate.toLowerCase())
+    .filter(d => !status || d.status === status)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  res.json({
+    total: result.length,
+    delegations: result.slice(0, Math.min(parseInt(limit) || 100, 500))
+  });
+});
+
+// ============================================================================
+// API: MODERATION
+// ============================================================================
+
+// Flags are weighted by the flagger's standing (how many projects they back).
+// Once a project's open flag weight reaches FLAG_THRESHOLD it is hidden from
+// listings and waits in the review queue for an admin.
+
+const FLAG_REASONS = ['spam', 'scam', 'impersonation', 'broken-link', 'other'];
+const FLAG_STATUSES = ['open', 'upheld', 'dismissed'];
+const FLAG_THRESHOLD = parseFloat(process.env.FLAG_THRESHOLD) || 5;
+const FLAG_MAX_WEIGHT = parseFloat(process.env.FLAG_MAX_WEIGHT) || 3;
+const ADMIN_KEY = process.env.ADMIN_KEY || null;
+
+function isListed(project) {
+  return (project.status || 'active') === 'active';
+}
+
+// Whether the requester may see `project`. Removed projects are gone for
+// everyone; hidden ones stay reachable with the admin key and for their own
+// maintainers on signed requests, so they can fix what got them flagged.
+function canSeeProject(req, project) {
+  if (!project || project.status === 'removed') return false;
+  if (isListed(project) || hasAdminKey(req)) return true;
+  return Boolean(req.signer && maintainerRole(project, req.signer));
+}
+
+// The :id project if the requester may see it
+function visibleProject(req) {
+  const project = projects.get(req.params.id);
+  return canSeeProject(req, project) ? project : null;
+}
+
+// 1 for any whitelisted address, +0.5 per project it currently supports
+function flaggerWeight(address) {
+  const supported = Array.from(signals.values()).filter(s => s.address === address).length;
+  return Math.min(FLAG_MAX_WEIGHT, 1 + 0.5 * supported);
+}
+
+function openFlags(projectId) {
+  return Array.from(flags.values())
+    .filter(f => f.projectId === projectId && f.status === 'open');
+}
+
+function logModeration(action, projectId, actor, note = null, extra = {}) {
+  const entry = { id: uuidv4(), action, projectId, actor, note, ...extra, createdAt: Date.now() };
+  moderationLog.set(entry.id, entry);
+  return entry;
+}
+
+function resolveOpenFlags(projectId, resolution, note) {
+  openFlags(projectId).forEach(f => {
+    f.status = resolution;
+    f.resolvedAt = Date.now();
+    f.resolutionNote = note || null;
+    flags.set(f.id, f);
+  });
+}
+
+function hasAdminKey(req) {
+  if (!ADMIN_KEY) return false;
+  const key = Buffer.from(String(req.get('x-admin-key') || ''));
+  const expected = Buffer.from(ADMIN_KEY);
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_KEY) {
+    return res.status(503).json({ error: 'Moderation disabled: ADMIN_KEY not configured' });
+  }
+  if (!hasAdminKey(req)) {
+    return res.status(401).json({ error: 'Invalid admin key' });
+  }
+  next();
+}
+
+// Flag a project
+route('post', '/projects/:id/flag', {
+  group: 'Moderation',
+  summary: 'Flag a project for review',
+  signed: true,
+  status: 201,
+  body: {
+    type: 'object',
+    required: ['address', 'reason'],
+    properties: {
+      address: ADDRESS_SCHEMA,
+      reason: { type: 'string', enum: FLAG_REASONS },
+      details: { type: 'string', maxLength: 1000 }
+    }
+  }
+}, requireAccess('flag'), requireSignature('project.flag'), (req, res) => {
+  const project = projects.get(req.params.id);
+  if (!project || project.status === 'removed') return res.status(404).json({ error: 'Project not found' });
+
+  const { reason, details } = req.body;
+
+  const duplicate = openFlags(project.id).find(f => f.address === req.signer);
+  if (duplicate) {
+    return res.status(409).json({ error: 'Already flagged', flag: duplicate });
+  }
+
+  const flag = {
+    id: uuidv4(),
+    projectId: project.id,
+    address: req.signer,
+    reason,
+    details: details || null,
+    weight: flaggerWeight(req.signer),
+    status: 'open',
+    createdAt: Date.now()
+  };
+
+  const openWeight = store.transaction(() => {
+    flags.set(flag.id, flag);
+    logModeration('flagged', project.id, req.signer, reason, { flagId: flag.id });
+
+    const weight = openFlags(project.id).reduce((sum, f) => sum + f.weight, 0);
+    if (project.status === 'active' && weight >= FLAG_THRESHOLD) {
+      project.status = 'hidden';
+      project.hiddenAt = Date.now();
+      projects.set(project.id, project);
+      logModeration('auto-hidden', project.id, 'system', `flag weight ${weight} >= ${FLAG_THRESHOLD}`);
+      console.log(`[MODERATION] ${project.id}: ${project.name} hidden pending review`);
+    }
+    return weight;
+  });
+
+  res.status(201).json({
+    flag,
+    project: { id: project.id, status: project.status, openFlagWeight: openWeight, threshold: FLAG_THRESHOLD }
+  });
+});
+
+// Review queue: hidden projects plus anything with open flags
+route('get', '/admin/moderation/queue', {
+  group: 'Moderation',
+  summary: 'Hidden projects and projects with open flags',
+  admin: true
+}, requireAdmin, (req, res) => {
+  const queue = Array.from(projects.values())
+    .map(p => {
+      const open = openFlags(p.id);
+      return { project: p, flags: open, openFlagWeight: open.reduce((sum, f) => sum + f.weight, 0) };
+    })
+    .filter(q => q.project.status === 'hidden' || q.flags.length > 0)
+    .sort((a, b) => b.openFlagWeight - a.openFlagWeight);
+
+  res.json({ threshold: FLAG_THRESHOLD, total: queue.length, queue });
+});
+
+// All flags, optionally by status or project
+route('get', '/admin/flags', {
+  group: 'Moderation',
+  summary: 'All flags',
+  admin: true,
+  query: { properties: { status: { type: 'string', enum: FLAG_STATUSES }, projectId: { type: 'string' } } }
+}, requireAdmin, (req, res) => {
+  const { status, projectId } = req.query;
+  const result = Array.from(flags.values())
+    .filter(f => !status || f.status === status)
+    .filter(f => !projectId || f.projectId === projectId)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  res.json(result);
+});
+
+// Resolve a single flag
+route('post', '/admin/flags/:flagId/resolve', {
+  group: 'Moderation',
+  summary: 'Resolve a single flag',
+  admin: true,
+  body: {
+    type: 'object',
+    required: ['resolution'],
+    properties: { resolution: { type: 'string', enum: ['upheld', 'dismissed'] }, note: { type: 'string' } }
+  }
+}, requireAdmin, (req, res) => {
+  const flag = flags.get(req.params.flagId);
+  if (!flag) return res.status(404).json({ error: 'Flag not found' });
+
+  const { resolution, note } = req.body;
+  if (!['upheld', 'dismissed'].includes(resolution)) {
+    return res.status(400).json({ error: 'resolution must be upheld or dismissed' });
+  }
+  if (flag.status !== 'open') {
+    return res.status(409).json({ error: `Flag already ${flag.status}` });
+  }
+
+  store.transaction(() => {
+    flag.status = resolution;
+    flag.resolvedAt = Date.now();
+    flag.resolutionNote = note || null;
+    flags.set(flag.id, flag);
+    logModeration(`flag-${resolution}`, flag.projectId, 'admin', note, { flagId: flag.id });
+  });
+
+  res.json(flag);
+});
+
+// Restore a hidden or removed project, dismissing its open flags
+route('post', '/admin/projects/:id/restore', {
+  group: 'Moderation',
+  summary: 'Restore a hidden or removed project',
+  admin: true,
+  body: { type: 'object', properties: { note: { type: 'string' } } }
+}, requireAdmin, (req, res) => {
+  const project = projects.get(req.params.id);
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+
+  const { note } = req.body;
+
+  store.transaction(() => {
+    resolveOpenFlags(project.id, 'dismissed', note);
+    project.status = 'active';
+    project.hiddenAt = null;
+    projects.set(project.id, project);
+    logModeration('restored', project.id, 'admin', note);
+  });
+
+  res.json(project);
+});
+
+// Remove a project from the registry, upholding its open flags
+route('post', '/admin/projects/:id/remove', {
+  group: 'Moderation',
+  summary: 'Remove a project, upholding its open flags',
+  admin: true,
+  body: { type: 'object', properties: { note: { type: 'string' } } }
+}, requireAdmin, (req, res) => {
+  const project = projects.get(req.params.id);
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+
+  const { note } = req.body;
+
+  store.transaction(() => {
+    resolveOpenFlags(project.id, 'upheld', note);
+    project.status = 'removed';
+    projects.set(project.id, project);
+    logModeration('removed', project.id, 'admin', note);
+  });
+
+  res.json(project);
+});
+
+// Moderation log, newest first
+route('get', '/admin/moderation/log', {
+  group: 'Moderation',
+  summary: 'Moderation log, newest first',
+  admin: true,
+  query: { properties: { projectId: { type: 'string' }, limit: LIMIT_SCHEMA } }
+}, requireAdmin, (req, res) => {
+  const { projectId, limit } = req.query;
+  const entries = Array.from(moderationLog.values())
+    .filter(e => !projectId || e.projectId === projectId)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, Math.min(parseInt(limit) || 100, 500));
+
+  res.json(entries);
+});
+
+// ============================================================================
+// SEARCH INDEX
+// ============================================================================
+
+// In-process inverted index over name, tags, url and description, scored with
+// BM25 per field and blended with support. Query terms also match indexed
+// terms by prefix and by edit distance, at a discount.
+
+const SEARCH_FIELD_WEIGHTS = { name: 3, tags: 2, url: 1.5, description: 1 };
+// A blend that isn't a finite, non-negative number would turn every score into NaN
+const validBlend = value => Number.isFinite(value) && value >= 0;
+const SEARCH_SUPPORT_BLEND = validBlend(parseFloat(process.env.SEARCH_SUPPORT_BLEND))
+  ? parseFloat(process.env.SEARCH_SUPPORT_BLEND)
+  : 0.1;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PREFIX_MATCH_WEIGHT = 0.8;
+const FUZZY_MATCH_WEIGHT = 0.6;
+
+const searchIndex = {
+  postings: new Map(),    // term -> Map(projectId -> { field: termFrequency })
+  docs: new Map(),        // projectId -> { field: tokenCount }
+  fieldTotals: Object.fromEntries(Object.keys(SEARCH_FIELD_WEIGHTS).map(f => [f, 0]))
+};
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function projectFieldTokens(project) {
+  return {
+    name: tokenize(project.name),
+    tags: project.tags.flatMap(tokenize),
+    url: tokenize(normalizeUrl(project.url)),
+    description: tokenize(project.description)
+  };
+}
+
+function unindexProject(id) {
+  const doc = searchIndex.docs.get(id);
+  if (!doc) return;
+  Object.keys(SEARCH_FIELD_WEIGHTS).forEach(f => searchIndex.fieldTotals[f] -= doc[f]);
+  for (const [term, posting] of searchIndex.postings) {
+    posting.delete(id);
+    if (posting.size === 0) searchIndex.postings.delete(term);
+  }
+  searchIndex.docs.delete(id);
+}
+
+function indexProject(project) {
+  unindexProject(project.id);
+  const fields = projectFieldTokens(project);
+  const doc = {};
+
+  Object.entries(fields).forEach(([field, tokens]) => {
+    doc[field] = tokens.length;
+    searchIndex.fieldTotals[field] += tokens.length;
+    tokens.forEach(term => {
+      if (!searchIndex.postings.has(term)) searchIndex.postings.set(term, new Map());
+      const posting = searchIndex.postings.get(term);
+      const tf = posting.get(project.id) || {};
+      tf[field] = (tf[field] || 0) + 1;
+      posting.set(project.id, tf);
+    });
+  });
+
+  searchIndex.docs.set(project.id, doc);
+}
+
+// Indexed terms a query term matches, with a weight for how well
+function expandTerm(term) {
+  const matches = new Map();
+  const maxEdits = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+
+  for (const candidate of searchIndex.postings.keys()) {
+    if (candidate === term) {
+      matches.set(candidate, 1);
+    } else if (candidate.startsWith(term)) {
+      matches.set(candidate, PREFIX_MATCH_WEIGHT);
+    } else if (maxEdits > 0 && Math.abs(candidate.length - term.length) <= maxEdits &&
+      levenshtein(term, candidate) <= maxEdits) {
+      matches.set(candidate, FUZZY_MATCH_WEIGHT);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Score every indexed project against `query`.
+ * Returns Map(projectId -> { relevance, terms: Set of matched index terms }).
+ */
+function searchProjects(query) {
+  const docCount = searchIndex.docs.size;
+  const results = new Map();
+
+  [...new Set(tokenize(query))].forEach(queryTerm => {
+    // Best match weight per project for this query term, so a prefix and a
+    // fuzzy hit on the same document don't add up
+    const best = new Map();
+
+    expandTerm(queryTerm).forEach((matchWeight, term) => {
+      const posting = searchIndex.postings.get(term);
+      const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+
+      posting.forEach((tf, id) => {
+        const doc = searchIndex.docs.get(id);
+        let score = 0;
+        Object.entries(tf).forEach(([field, freq]) => {
+          const avg = searchIndex.fieldTotals[field] / docCount || 1;
+          const norm = freq * (BM25_K1 + 1) / (freq + BM25_K1 * (1 - BM25_B + BM25_B * doc[field] / avg));
+          score += SEARCH_FIELD_WEIGHTS[field] * norm;
+        });
+        score *= idf * matchWeight;
+
+        const current = best.get(id);
+        if (!current || score > current.score) best.set(id, { score, term });
+      });
+    });
+
+    best.forEach(({ score, term }, id) => {
+      const result = results.get(id) || { relevance: 0, terms: new Set() };
+      result.relevance += score;
+      result.terms.add(term);
+      results.set(id, result);
+    });
+  });
+
+  return results;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// HTML-escaped excerpt of `text` with matched terms wrapped in <mark>
+function highlight(text, terms, radius = null) {
+  if (!text) return null;
+  const pattern = new RegExp(`(?<![a-z0-9])(${[...terms].join('|')})(?![a-z0-9])`, 'gi');
+  let start = 0;
+  let end = text.length;
+
+  if (radius !== null) {
+    const first = text.search(pattern);
+    if (first === -1) return null;
+    start = Math.max(0, first - radius);
+    end = Math.min(text.length, first + radius);
+  }
+
+  const excerpt = text.slice(start, end);
+  let out = '';
+  let last = 0;
+  excerpt.replace(pattern, (match, _, offset) => {
+    out += escapeHtml(excerpt.slice(last, offset)) + `<mark>${escapeHtml(match)}</mark>`;
+    last = offset + match.length;
+  });
+  out += escapeHtml(excerpt.slice(last));
+
+  return `${start > 0 ? '…' : ''}${out}${end < text.length ? '…' : ''}`;
+}
+
+Array.from(projects.values()).forEach(indexProject);
+
+// ============================================================================
+// API: COLLECTIONS
+// ============================================================================
+
+// Any address can curate named, ordered lists of projects with per-item notes.
+// Others can follow them. Stored as "curations" to keep clear of the storage
+// layer's own collections.
+
+const COLLECTION_MAX_ITEMS = 200;
+const COLLECTION_NAME_MAX = 100;
+const COLLECTION_NOTE_MAX = 500;
+
+const COLLECTION_NAME_SCHEMA = { type: 'string', minLength: 1, maxLength: COLLECTION_NAME_MAX };
+const COLLECTION_ITEMS_SCHEMA = {
+  type: 'array',
+  maxItems: COLLECTION_MAX_ITEMS,
+  items: { type: ['string', 'object'], properties: { projectId: { type: 'string' }, note: { type: 'string', maxLength: COLLECTION_NOTE_MAX } } },
+  description: 'Project ids or { projectId, note? }, in order'
+};
+
+function collectionsIncluding(projectId) {
+  return Array.from(curations.values())
+    .filter(c => c.items.some(item => item.projectId === projectId))
+    .map(c => ({ id: c.id, name: c.name, curator: c.curator, followers: c.followers.length }));
+}
+
+function collectionSummary(collection) {
+  const { followers, items, ...rest } = collection;
+  return { ...rest, itemCount: items.length, followerCount: followers.length };
+}
+
+// Validate [{ projectId, note? }] into stored items. Returns { error } or { items }.
+// New items must be projects the curator can see; ones already in the
+// collection may stay (listings skip them while they're hidden).
+function normalizeItems(req, input, existing = []) {
+  if (!Array.isArray(input)) return { error: 'items must be an array' };
+  if (input.length > COLLECTION_MAX_ITEMS) return { error: `At most ${COLLECTION_MAX_ITEMS} items` };
+
+  const seen = new Set();
+  const items = [];
+  for (const entry of input) {
+    const projectId = typeof entry === 'string' ? entry : entry?.projectId;
+    const previous = existing.find(item => item.projectId === projectId);
+    if (!previous && !canSeeProject(req, projects.get(projectId))) return { error: `Project not found: ${projectId}` };
+    if (seen.has(projectId)) return { error: `Duplicate item: ${projectId}` };
+    seen.add(projectId);
+
+    items.push({
+      projectId,
+      note: entry?.note ? String(entry.note).slice(0, COLLECTION_NOTE_MAX) : null,
+      addedAt: previous?.addedAt || Date.now()
+    });
+  }
+  return { items };
+}
+
+// Load the collection for a curator-only route, or respond with the error
+function curatedCollection(req, res) {
+  const collection = curations.get(req.params.id);
+  if (!collection) {
+    res.status(404).json({ error: 'Collection not found' });
+    return null;
+  }
+  if (req.signer !== collection.curator) {
+    res.status(403).json({ error: 'Not collection curator' });
+    return null;
+  }
+  return collection;
+}
+
+function saveCollection(collection) {
+  collection.updatedAt = Date.now();
+  curations.set(collection.id, collection);
+  return collection;
+}
+
+// Create a collection
+route('post', '/collections', {
+  group: 'Collections',
+  summary: 'Create a curated collection',
+  signed: true,
+  status: 201,
+  body: {
+    type: 'object',
+    required: ['curator', 'name'],
+    properties: {
+      curator: ADDRESS_SCHEMA,
+      name: COLLECTION_NAME_SCHEMA,
+      description: { type: 'string' },
+      items: COLLECTION_ITEMS_SCHEMA
+    }
+  }
+}, requireSignature('collection.create', 'curator'), (req, res) => {
+  const { name, description, items = [] } = req.body;
+
+  const normalized = normalizeItems(req, items);
+  if (normalized.error) return res.status(400).json({ error: normalized.error });
+
+  const collection = {
+    id: uuidv4(),
+    curator: req.signer,
+    name: String(name),
+    description: description ? String(description) : '',
+    items: normalized.items,
+    followers: [],
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+
+  curations.set(collection.id, collection);
+  res.status(201).json(collection);
+});
+
+// Browse and search collections
+route('get', '/collections', {
+  group: 'Collections',
+  summary: 'Browse and search collections',
+  query: {
+    properties: {
+      q: { type: 'string' },
+      curator: ADDRESS_SCHEMA,
+      projectId: { type: 'string' },
+      follower: ADDRESS_SCHEMA,
+      sort: { type: 'string', enum: ['recent', 'updated', 'followers'] },
+      limit: LIMIT_SCHEMA,
+      offset: OFFSET_SCHEMA
+    }
+  }
+}, (req, res) => {
+  const { q, curator, projectId, follower, sort, limit, offset } = req.query;
+  const query = q ? q.toLowerCase() : null;
+
+  let results = Array.from(curations.values())
+    .filter(c => !curator || c.curator === curator.toLowerCase())
+    .filter(c => !follower || c.followers.includes(follower.toLowerCase()))
+    .filter(c => !projectId || c.items.some(item => item.projectId === projectId))
+    .filter(c => !query ||
+      c.name.toLowerCase().includes(query) ||
+      c.description.toLowerCase().includes(query) ||
+      c.items.some(item => item.note && item.note.toLowerCase().includes(query)));
+
+  switch (sort) {
+    case 'followers':
+      results.sort((a, b) => b.followers.length - a.followers.length);
+      break;
+    case 'updated':
+      results.sort((a, b) => b.updatedAt - a.updatedAt);
+      break;
+    case 'recent':
+    default:
+      results.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  const start = parseInt(offset) || 0;
+  const count = Math.min(parseInt(limit) || 50, 100);
+
+  res.json({
+    collections: results.slice(start, start + count).map(collectionSummary),
+    total: results.length,
+    offset: start,
+    limit: count
+  });
+});
+
+// Collection with its projects in order
+route('get', '/collections/:id', {
+  group: 'Collections',
+  summary: 'Collection with its projects in order'
+}, (req, res) => {
+  const collection = curations.get(req.params.id);
+  if (!collection) return res.status(404).json({ error: 'Collection not found' });
+
+  const items = collection.items
+    .map(item => ({ ...item, project: projects.get(item.projectId) }))
+    .filter(item => item.project && isListed(item.project));
+
+  res.json({ ...collectionSummary(collection), followers: collection.followers, items });
+});
+
+// Rename / describe (curator only)
+route('put', '/collections/:id', {
+  group: 'Collections',
+  summary: 'Rename or describe (curator only)',
+  signed: true,
+  body: {
+    type: 'object',
+    required: ['curator'],
+    properties: { curator: ADDRESS_SCHEMA, name: COLLECTION_NAME_SCHEMA, description: { type: ['string', 'null'] } }
+  }
+}, requireSignature('collection.update', 'curator'), (req, res) => {
+  const collection = curatedCollection(req, res);
+  if (!collection) return;
+
+  const { name, description } = req.body;
+
+  if (name !== undefined) collection.name = String(name);
+  if (description !== undefined) collection.description = String(description || '');
+
+  res.json(saveCollection(collection));
+});
+
+// Delete (curator only)
+route('delete', '/collections/:id', {
+  group: 'Collections',
+  summary: 'Delete collection (curator only)',
+  signed: true,
+  body: { type: 'object', required: ['curator'], properties: { curator: ADDRESS_SCHEMA } }
+}, requireSignature('collection.delete', 'curator'), (req, res) => {
+  const collection = curatedCollection(req, res);
+  if (!collection) return;
+
+  curations.delete(collection.id);
+  res.json({ success: true, deleted: collection.id });
+});
+
+// Add one project, optionally at a position (curator only)
+route('post', '/collections/:id/items', {
+  group: 'Collections',
+  summary: 'Add a project (curator only)',
+  signed: true,
+  status: 201,
+  body: {
+    type: 'object',
+    required: ['curator', 'projectId'],
+    properties: {
+      curator: ADDRESS_SCHEMA,
+      projectId: { type: 'string' },
+      note: { type: 'string', maxLength: COLLECTION_NOTE_MAX },
+      position: { type: 'integer', minimum: 0 }
+    }
+  }
+}, requireSignature('collection.items.add', 'curator'), (req, res) => {
+  const collection = curatedCollection(req, res);
+  if (!collection) return;
+
+  const { projectId, note, position } = req.body;
+
+  if (collection.items.some(item => item.projectId === projectId)) {
+    return res.status(409).json({ error: 'Project already in collection' });
+  }
+  const normalized = normalizeItems(req, [...collection.items, { projectId, note }], collection.items);
+  if (normalized.error) return res.status(400).json({ error: normalized.error });
+
+  const item = normalized.items.pop();
+  const at = position === undefined ? collection.items.length : Math.max(0, Math.min(collection.items.length, parseInt(position) || 0));
+  collection.items.splice(at, 0, item);
+
+  res.status(201).json(saveCollection(collection));
+});
+
+// Replace the item list - reorder, edit notes (curator only)
+route('put', '/collections/:id/items', {
+  group: 'Collections',
+  summary: 'Replace or reorder items (curator only)',
+  signed: true,
+  body: {
+    type: 'object',
+    required: ['curator', 'items'],
+    properties: { curator: ADDRESS_SCHEMA, items: COLLECTION_ITEMS_SCHEMA }
+  }
+}, requireSignature('collection.items.update', 'curator'), (req, res) => {
+  const collection = curatedCollection(req, res);
+  if (!collection) return;
+
+  const normalized = normalizeItems(req, req.body.items, collection.items);
+  if (normalized.error) return res.status(400).json({ error: normalized.error });
+
+  collection.items = normalized.items;
+  res.json(saveCollection(collection));
+});
+
+// Remove one project (curator only)
+route('delete', '/collections/:id/items', {
+  group: 'Collections',
+  summary: 'Remove a project (curator only)',
+  signed: true,
+  body: {
+    type: 'object',
+    required: ['curator', 'projectId'],
+    properties: { curator: ADDRESS_SCHEMA, projectId: { type: 'string' } }
+  }
+}, requireSignature('collection.items.remove', 'curator'), (req, res) => {
+  const collection = curatedCollection(req, res);
+  if (!collection) return;
+
+  const { projectId } = req.body;
+  if (!collection.items.some(item => item.projectId === projectId)) {
+    return res.status(404).json({ error: 'Project not in collection' });
+  }
+
+  collection.items = collection.items.filter(item => item.projectId !== projectId);
+  res.json(saveCollection(collection));
+});
+
+// Follow a collection
+route('post', '/collections/:id/follow', {
+  group: 'Collections',
+  summary: 'Follow a collection',
+  signed: true,
+  body: { type: 'object', required: ['address'], properties: { address: ADDRESS_SCHEMA } }
+}, requireSignature('collection.follow'), (req, res) => {
+  const collection = curations.get(req.params.id);
+  if (!collection) return res.status(404).json({ error: 'Collection not found' });
+
+  if (!collection.followers.includes(req.signer)) {
+    collection.followers.push(req.signer);
+    curations.set(collection.id, collection);
+  }
+  res.json(collectionSummary(collection));
+});
+
+// Unfollow a collection
+route('delete', '/collections/:id/follow', {
+  group: 'Collections',
+  summary: 'Unfollow a collection',
+  signed: true,
+  body: { type: 'object', required: ['address'], properties: { address: ADDRESS_SCHEMA } }
+}, requireSignature('collection.unfollow'), (req, res) => {
+  const collection = curations.get(req.params.id);
+  if (!collection) return res.status(404).json({ error: 'Collection not found' });
+
+  collection.followers = collection.followers.filter(a => a !== req.signer);
+  curations.set(collection.id, collection);
+  res.json(collectionSummary(collection));
+});
+
+// ============================================================================
+// REPUTATION
+// ============================================================================
+
+// Each supporter gets a weight in 0..1 from a set of pluggable factors, each
+// scoring 0..1 and combined as a weighted average. Addresses that always back
+// the same projects are grouped into clusters and share one weight between
+// them. Weighted support sits alongside the raw counts; it never replaces them.
+
+const REPUTATION_AGE_DAYS = parseFloat(process.env.REPUTATION_AGE_DAYS) || 30;
+const CLUSTER_MIN_PROJECTS = 2;      // supporters with fewer signals never cluster
+const CLUSTER_MIN_SIZE = 3;
+const CLUSTER_SIMILARITY = 0.9;      // Jaccard overlap of backed projects
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = n => Math.round(n * 1000) / 1000;
+
+// Attestation lists: ATTESTATION_FILES=path1,path2. Each file is a JSON array of
+// addresses (or { address } objects) or plain text with one address per line.
+let attestations = new Map();   // address -> [list names]
+
+function loadAttestations() {
+  const lists = new Map();
+  toList(process.env.ATTESTATION_FILES).forEach(file => {
+    try {
+      const raw = fs.readFileSync(file, 'utf8');
+      let entries;
+      try {
+        entries = JSON.parse(raw);
+      } catch (err) {
+        entries = raw.split(/\r?\n/);
+      }
+      const name = path.basename(file);
+      entries
+        .map(e => String(e?.address || e).trim().toLowerCase())
+        .filter(a => ethers.isAddress(a))
+        .forEach(a => lists.set(a, [...(lists.get(a) || []), name]));
+    } catch (err) {
+      console.error(`Attestation list ${file} failed to load:`, err.message);
+    }
+  });
+  attestations = lists;
+  return lists;
+}
+
+// To plug in another signal, add { name, weight, score(address, context) }
+const reputationFactors = [
+  {
+    name: 'accountAge',
+    weight: 1,
+    score: (addr, ctx) => Math.min(1, (ctx.now - ctx.firstSeen) / (REPUTATION_AGE_DAYS * DAY))
+  },
+  {
+    name: 'diversity',
+    weight: 1,
+    score: (addr, ctx) => 0.5 * Math.min(1, ctx.projects.size / 5) + 0.5 * Math.min(1, ctx.categories.size / 3)
+  },
+  {
+    name: 'whitelist',
+    weight: 0.5,
+    score: addr => (isAllowlisted(addr) ? 1 : 0)
+  },
+  {
+    name: 'attestations',
+    weight: 1,
+    score: addr => Math.min(1, (attestations.get(addr) || []).length)
+  }
+];
+
+// REPUTATION_WEIGHTS='{"accountAge":2,"whitelist":0}' overrides factor weights
+try {
+  const overrides = JSON.parse(process.env.REPUTATION_WEIGHTS || '{}');
+  reputationFactors.forEach(f => {
+    if (typeof overrides[f.name] === 'number') f.weight = overrides[f.name];
+  });
+} catch (err) {
+  console.error('REPUTATION_WEIGHTS is not valid JSON:', err.message);
+}
+
+// Union-find over supporter pairs whose backed projects overlap almost entirely.
+// Pairs come from prefix filtering: with projects ordered rarest first, two
+// sets with Jaccard >= t share one of the first |set| - ceil(t * |set|) + 1
+// projects of either set, so a popular project everyone backs only pairs up
+// the few supporters for whom it is among their rarest.
+function detectClusters(contexts) {
+  const candidates = Array.from(contexts.entries()).filter(([, ctx]) => ctx.projects.size >= CLUSTER_MIN_PROJECTS);
+  const parent = new Map(candidates.map(([addr]) => [addr, addr]));
+  const find = a => (parent.get(a) === a ? a : find(parent.get(a)));
+
+  const frequency = new Map();
+  candidates.forEach(([, ctx]) => ctx.projects.forEach(id => frequency.set(id, (frequency.get(id) || 0) + 1)));
+  const rarestFirst = (a, b) => frequency.get(a) - frequency.get(b) || (a < b ? -1 : a > b ? 1 : 0);
+
+  const byPrefixProject = new Map();  // projectId -> supporters with it in their prefix
+  candidates.forEach(([addr, ctx]) => {
+    const sorted = Array.from(ctx.projects).sort(rarestFirst);
+    const prefix = sorted.length - Math.ceil(CLUSTER_SIMILARITY * sorted.length - 1e-9) + 1;
+    sorted.slice(0, prefix).forEach(id => {
+      if (!byPrefixProject.has(id)) byPrefixProject.set(id, []);
+      byPrefixProject.get(id).push(addr);
+    });
+  });
+
+  const compared = new Set();
+  byPrefixProject.forEach(addrs => {
+    for (let i = 0; i < addrs.length; i++) {
+      for (let j = i + 1; j < addrs.length; j++) {
+        const key = addrs[i] < addrs[j] ? `${addrs[i]}|${addrs[j]}` : `${addrs[j]}|${addrs[i]}`;
+        if (compared.has(key)) continue;
+        compared.add(key);
+
+        const a = contexts.get(addrs[i]).projects;
+        const b = contexts.get(addrs[j]).projects;
+        const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+        let shared = 0;
+        small.forEach(id => { if (large.has(id)) shared++; });
+        if (shared / (a.size + b.size - shared) >= CLUSTER_SIMILARITY) {
+          parent.set(find(addrs[i]), find(addrs[j]));
+        }
+      }
+    }
+  });
+
+  const groups = new Map();
+  candidates.forEach(([addr]) => {
+    const root = find(addr);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(addr);
+  });
+  return Array.from(groups.values()).filter(g => g.length >= CLUSTER_MIN_SIZE);
+}
+
+let _reputationCache = null;
+const REPUTATION_CACHE_TTL = 60 * 1000; // age and whitelist drift without writes
+
+/**
+ * Weights for every supporter, recomputed only when the store has changed.
+ * Returns { supporters: Map(address -> reputation), clusters: [[address]],
+ * projectWeights: Map(projectId -> weighted support), delegated: Map(signalId
+ * -> delegated weight), projectDelegated: Map(projectId -> { amount, votes }) }.
+ */
+function reputationSnapshot() {
+  if (_reputationCache && _reputationCache.version === store.version &&
+    Date.now() - _reputationCache.computedAt < REPUTATION_CACHE_TTL) {
+    return _reputationCache;
+  }
+
+  const now = Date.now();
+  const contexts = new Map();
+  const context = addr => {
+    if (!contexts.has(addr)) contexts.set(addr, { now, firstSeen: now, projects: new Set(), categories: new Set() });
+    return contexts.get(addr);
+  };
+
+  Array.from(signals.values()).forEach(s => {
+    const ctx = context(s.address);
+    ctx.firstSeen = Math.min(ctx.firstSeen, s.createdAt);
+    ctx.projects.add(s.projectId);
+    const project = projects.get(s.projectId);
+    if (project) ctx.categories.add(project.category);
+  });
+  Array.from(projects.values()).forEach(p => {
+    if (contexts.has(p.owner)) {
+      const ctx = contexts.get(p.owner);
+      ctx.firstSeen = Math.min(ctx.firstSeen, p.createdAt);
+    }
+  });
+  // Delegators have a reputation (which weights what they lend) even if they never signal
+  Array.from(delegations.values()).forEach(d => {
+    const ctx = context(d.delegator);
+    ctx.firstSeen = Math.min(ctx.firstSeen, d.createdAt);
+  });
+
+  const clusters = detectClusters(contexts);
+  const clusterOf = new Map();
+  clusters.forEach((members, i) => members.forEach(a => clusterOf.set(a, i)));
+
+  const totalWeight = reputationFactors.reduce((sum, f) => sum + f.weight, 0) || 1;
+  const supporters = new Map();
+  contexts.forEach((ctx, addr) => {
+    const factors = {};
+    let score = 0;
+    reputationFactors.forEach(f => {
+      const value = Math.max(0, Math.min(1, f.score(addr, ctx) || 0));
+      factors[f.name] = round(value);
+      score += f.weight * value;
+    });
+    score /= totalWeight;
+
+    const cluster = clusterOf.has(addr) ? clusters[clusterOf.get(addr)] : null;
+    supporters.set(addr, {
+      address: addr,
+      score: round(score),
+      weight: cluster ? score / cluster.length : score,
+      factors,
+      cluster: cluster ? { id: clusterOf.get(addr), size: cluster.length } : null
+    });
+  });
+
+  const projectWeights = new Map();
+  Array.from(signals.values()).forEach(s => {
+    projectWeights.set(s.projectId, (projectWeights.get(s.projectId) || 0) + supporters.get(s.address).weight);
+  });
+
+  // Delegated weight depends on reputation, so it is derived (and ages) with it
+  const delegated = computeDelegatedWeights(addr => round(supporters.get(addr)?.weight || 0), now);
+  const projectDelegated = new Map();
+  delegated.forEach(w => {
+    const total = projectDelegated.get(w.projectId) || { amount: 0, votes: 0 };
+    projectDelegated.set(w.projectId, { amount: round(total.amount + w.amount), votes: round(total.votes + w.votes) });
+  });
+
+  _reputationCache = { version: store.version, computedAt: now, supporters, clusters, projectWeights, delegated, projectDelegated };
+  return _reputationCache;
+}
+
+function reputationOf(address) {
+  const rep = reputationSnapshot().supporters.get(address);
+  return rep ? { ...rep, weight: round(rep.weight) } : null;
+}
+
+// Project with weightedSupport and supportConfidence (average supporter
+// weight), and the delegated weight on top of its direct signal
+function withWeightedSupport(project) {
+  const weighted = reputationSnapshot().projectWeights.get(project.id) || 0;
+  const delegated = projectDelegation(project.id);
+
+  return {
+    ...project,
+    weightedSupport: round(weighted),
+    supportConfidence: project.supportCount ? round(weighted / project.supportCount) : 0,
+    delegatedSignal: delegated.amount,
+    delegatedVotes: delegated.votes,
+    combinedSignal: round(project.totalSignal + delegated.amount),
+    combinedQuadraticScore: round(project.quadraticScore + delegated.votes)
+  };
+}
+
+loadAttestations();
+
+// Suspected clusters of addresses that always signal together
+route('get', '/reputation/clusters', {
+  group: 'Reputation',
+  summary: 'Suspected clusters of addresses that always signal together'
+}, (req, res) => {
+  const { supporters, clusters } = reputationSnapshot();
+  res.json(clusters.map((members, id) => ({
+    id,
+    size: members.length,
+    members: members.map(a => ({ address: a, score: supporters.get(a).score }))
+  })));
+});
+
+// Reload attestation lists from disk (admin only)
+route('post', '/admin/reputation/reload', {
+  group: 'Reputation',
+  summary: 'Reload attestation lists',
+  admin: true
+}, requireAdmin, (req, res) => {
+  const lists = loadAttestations();
+  _reputationCache = null;
+  res.json({ success: true, attestedAddresses: lists.size });
+});
+
+// ============================================================================
+// API: DISCOVERY
+// ============================================================================
+
+// Listed projects matching the filters and, if given, the search terms
+function facetProjects(query) {
+  const matches = filteredProjects(query);
+  if (!query.q) return matches;
+  const found = searchProjects(query.q);
+  return matches.filter(p => found.has(p.id));
+}
+
+const FACET_QUERY = {
+  properties: {
+    q: { type: 'string', minLength: 2, description: 'Count only projects matching this search' },
+    ...PROJECT_FILTER_PROPERTIES
+  }
+};
+
+// Get categories with counts (for projects matching the active filters)
+route('get', '/categories', { group: 'Discovery', summary: 'List categories with counts', query: FACET_QUERY }, (req, res) => {
+  const counts = {};
+  categories.forEach(c => counts[c] = 0);
+
+  facetProjects(req.query).forEach(p => {
+    counts[p.category] = (counts[p.category] || 0) + 1;
+  });
+
+  const result = Object.entries(counts)
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count);
+
+  res.json(result);
+});
+
+// Get popular tags (for projects matching the active filters)
+route('get', '/tags', { group: 'Discovery', summary: 'Popular tags', query: FACET_QUERY }, (req, res) => {
+  const tagCounts = new Map();
+
+  facetProjects(req.query).forEach(p => {
+    p.tags.forEach(tag => {
+      tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+    });
+  });
+
+  const result = Array.from(tagCounts.entries())
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 50);
+
+  res.json(result);
+});
+
+// Ranked, filtered search results - shared by /search and the search page
+function rankSearchResults(query) {
+  const { q, supportBlend } = query;
+  const blend = validBlend(parseFloat(supportBlend)) ? parseFloat(supportBlend) : SEARCH_SUPPORT_BLEND;
+  const matches = projectFilter(query);
+
+  return Array.from(searchProjects(q).entries())
+    .map(([id, match]) => ({ project: projects.get(id), match }))
+    .filter(({ project }) => project && isListed(project) && matches(project))
+    .map(({ project, match }) => ({
+      ...project,
+      score: match.relevance * (1 + blend * Math.log1p(project.supportCount)),
+      relevance: match.relevance,
+      highlights: {
+        name: highlight(project.name, match.terms),
+        description: highlight(project.description, match.terms, 80),
+        tags: project.tags.filter(t => tokenize(t).some(token => match.terms.has(token)))
+      }
+    }))
+    .sort((a, b) => b.score - a.score || b.supportCount - a.supportCount);
+}
+
+// Search projects
+route('get', '/search', {
+  group: 'Discovery',
+  summary: 'Ranked full-text search with prefix/fuzzy matching and highlights',
+  query: {
+    required: ['q'],
+    properties: {
+      q: { type: 'string', minLength: 2 },
+      ...PROJECT_FILTER_PROPERTIES,
+      supportBlend: { type: 'number', minimum: 0 },
+      fields: FIELDS_SCHEMA,
+      limit: LIMIT_SCHEMA
+    }
+  }
+}, (req, res) => {
+  const results = rankSearchResults(req.query).slice(0, Math.min(parseInt(req.query.limit) || 20, 100));
+  res.json(selectFields(results, req.query.fields));
+});
+
+// ============================================================================
+// API: WEBHOOKS
+// ============================================================================
+
+// Deliveries are POSTed as JSON and signed with the subscription secret:
+//   X-Registry-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+// Failed deliveries are retried with exponential backoff. Hook URLs must
+// resolve to public addresses, checked at registration and again on the
+// address every delivery connects to, and redirects aren't followed. To
+// deliver to a local receiver (tests, development) set WEBHOOK_ALLOW_PRIVATE=true.
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+const WEBHOOK_TIMEOUT_MS = 5000;
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+const WEBHOOK_MAX_PER_OWNER = parseInt(process.env.WEBHOOK_MAX_PER_OWNER) || 10;
+const WEBHOOK_LOG_LIMIT = 200;   // deliveries kept per subscription
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+// Without the secret, and with the url cut to its origin: chat-style hook
+// urls carry their own secret in the path
+function publicWebhook(hook) {
+  const { secret, url, ...rest } = hook;
+  return { ...rest, url: new URL(url).origin };
+}
+
+// Webhook reads: the admin key, or the owner's signature in the query string
+function requireWebhookReader(action) {
+  const ownerSigned = requireSignature(action, 'owner');
+  return (req, res, next) => (hasAdminKey(req) ? next() : ownerSigned(req, res, next));
+}
+
+// The hook named in the path, if the reader may see it (404/403 answered otherwise)
+function readableWebhook(req, res) {
+  const hook = webhooks.get(req.params.id);
+  if (!hook) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  if (req.signer && req.signer !== hook.owner) {
+    res.status(403).json({ error: 'Not webhook owner' });
+    return null;
+  }
+  return hook;
+}
+
+function webhookMatches(hook, event) {
+  if (!hook.active || !hook.events.includes(event.type)) return false;
+  const project = event.data.project;
+  const { categories: cats, tags, projectIds } = hook.filters;
+  if (cats.length && !cats.includes(project.category)) return false;
+  if (tags.length && !project.tags.some(t => tags.includes(t))) return false;
+  if (projectIds.length && !projectIds.includes(project.id)) return false;
+  return true;
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function pruneDeliveries(webhookId) {
+  Array.from(webhookDeliveries.values())
+    .filter(d => d.webhookId === webhookId)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(WEBHOOK_LOG_LIMIT)
+    .forEach(d => webhookDeliveries.delete(d.id));
+}
+
+function scheduleDelivery(delivery, delay) {
+  setTimeout(() => attemptDelivery(delivery.id), delay).unref();
+}
+
+async function attemptDelivery(deliveryId) {
+  const delivery = webhookDeliveries.get(deliveryId);
+  const hook = delivery && webhooks.get(delivery.webhookId);
+  if (!delivery || delivery.status !== 'pending') return;
+  if (!hook) {
+    delivery.status = 'failed';
+    webhookDeliveries.set(delivery.id, delivery);
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { at: started, statusCode: null, error: null, durationMs: 0 };
+
+  try {
+    const res = await requestPublic(hook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Self-Curated-Registry-Webhooks/1.0',
+        'X-Registry-Event': delivery.type,
+        'X-Registry-Delivery': delivery.id,
+        'X-Registry-Timestamp': String(timestamp),
+        'X-Registry-Signature': signWebhookPayload(hook.secret, timestamp, body)
+      },
+      body,
+      timeout: WEBHOOK_TIMEOUT_MS,
+      allowPrivate: WEBHOOK_ALLOW_PRIVATE
+    });
+    attempt.statusCode = res.status;
+    if (!res.ok) attempt.error = `HTTP ${res.status}`;
+  } catch (err) {
+    attempt.error = err.message;
+  }
+  attempt.durationMs = Date.now() - started;
+
+  delivery.attempts.push(attempt);
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    console.error(`[WEBHOOK] ${delivery.id} to ${new URL(hook.url).origin} failed after ${delivery.attempts.length} attempts`);
+  } else {
+    const delay = WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = Date.now() + delay;
+    scheduleDelivery(delivery, delay);
+  }
+  webhookDeliveries.set(delivery.id, delivery);
+}
+
+registryEvents.on('event', event => {
+  Array.from(webhooks.values())
+    .filter(hook => webhookMatches(hook, event))
+    .forEach(hook => {
+      const delivery = {
+        id: uuidv4(),
+        webhookId: hook.id,
+        eventId: event.id,
+        type: event.type,
+        payload: structuredClone(event),
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: Date.now(),
+        createdAt: Date.now()
+      };
+      store.transaction(() => {
+        webhookDeliveries.set(delivery.id, delivery);
+        pruneDeliveries(hook.id);
+      });
+      scheduleDelivery(delivery, 0);
+    });
+});
+
+// Resume retries that were pending when the process last stopped
+Array.from(webhookDeliveries.values())
+  .filter(d => d.status === 'pending')
+  .forEach(d => scheduleDelivery(d, Math.max(0, (d.nextAttemptAt || 0) - Date.now())));
+
+// Subscribe to registry events
+route('post', '/webhooks', {
+  group: 'Webhooks',
+  summary: 'Subscribe to registry events (HMAC-signed deliveries)',
+  signed: true,
+  status: 201,
+  body: {
+    type: 'object',
+    required: ['owner', 'url'],
+    properties: {
+      owner: ADDRESS_SCHEMA,
+      url: { type: 'string', format: 'uri' },
+      events: { ...STRING_LIST_SCHEMA, description: REGISTRY_EVENTS.join('|') },
+      category: STRING_LIST_SCHEMA,
+      tag: STRING_LIST_SCHEMA,
+      projectId: STRING_LIST_SCHEMA,
+      description: { type: 'string' }
+    }
+  }
+}, requireAccess('register', 'owner'), requireSignature('webhook.create', 'owner'), rateLimit('webhook', req => req.signer, { refundRejected: true }), async (req, res) => {
+  const { url, events, category, tag, projectId, description } = req.body;
+
+  // Every hook multiplies each event into an outbound request
+  const owned = Array.from(webhooks.values()).filter(h => h.owner === req.signer).length;
+  if (owned >= WEBHOOK_MAX_PER_OWNER) {
+    return res.status(409).json({ error: `Webhook limit reached: ${WEBHOOK_MAX_PER_OWNER} per owner - delete one first` });
+  }
+
+  const eventTypes = toList(events);
+  const unknown = eventTypes.filter(e => !REGISTRY_EVENTS.includes(e));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown events: ${unknown.join(', ')}`, available: REGISTRY_EVENTS });
+  }
+
+  if (!WEBHOOK_ALLOW_PRIVATE) {
+    try {
+      await assertPublicHost(new URL(url).hostname);
+    } catch (err) {
+      return res.status(400).json({ error: `Webhook url rejected: ${err.message}` });
+    }
+  }
+
+  const hook = {
+    id: uuidv4(),
+    owner: req.signer,
+    url: safeUrl(url),
+    description: description || null,
+    events: eventTypes.length ? eventTypes : [...REGISTRY_EVENTS],
+    filters: {
+      categories: toList(category),
+      tags: toList(tag).map(t => t.toLowerCase()),
+      projectIds: toList(projectId)
+    },
+    secret: crypto.randomBytes(32).toString('hex'),
+    active: true,
+    createdAt: Date.now()
+  };
+
+  webhooks.set(hook.id, hook);
+  console.log(`[WEBHOOK] ${hook.id} subscribed ${new URL(hook.url).origin} to ${hook.events.join(', ')}`);
+
+  // The secret is only ever returned here
+  res.status(201).json(hook);
+});
+
+// List subscriptions owned by an address (the owner, signed, or admins)
+route('get', '/webhooks', {
+  group: 'Webhooks',
+  summary: 'List an owner\'s webhooks (owner signature or admin key)',
+  signed: true,
+  query: { required: ['owner'], properties: { owner: ADDRESS_SCHEMA, ...SIGNATURE_SCHEMAS } }
+}, requireWebhookReader('webhook.list'), (req, res) => {
+  const { owner } = req.query;
+  const result = Array.from(webhooks.values())
+    .filter(h => h.owner === owner.toLowerCase())
+    .map(publicWebhook)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  res.json(result);
+});
+
+route('get', '/webhooks/:id', {
+  group: 'Webhooks',
+  summary: 'Webhook subscription (owner signature or admin key)',
+  signed: true,
+  query: { properties: { owner: ADDRESS_SCHEMA, ...SIGNATURE_SCHEMAS } }
+}, requireWebhookReader('webhook.read'), (req, res) => {
+  const hook = readableWebhook(req, res);
+  if (hook) res.json(publicWebhook(hook));
+});
+
+// Delivery log, newest first (owner signature or admin key)
+route('get', '/webhooks/:id/deliveries', {
+  group: 'Webhooks',
+  summary: 'Webhook delivery log (owner signature or admin key)',
+  signed: true,
+  query: {
+    properties: {
+      owner: ADDRESS_SCHEMA,
+      status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+      limit: LIMIT_SCHEMA,
+      ...SIGNATURE_SCHEMAS
+    }
+  }
+}, requireWebhookReader('webhook.read'), (req, res) => {
+  const hook = readableWebhook(req, res);
+  if (!hook) return;
+
+  const { status, limit } = req.query;
+  const result = Array.from(webhookDeliveries.values())
+    .filter(d => d.webhookId === hook.id && (!status || d.status === status))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, Math.min(parseInt(limit) || 50, WEBHOOK_LOG_LIMIT));
+
+  res.json({ webhookId: hook.id, total: result.length, deliveries: result });
+});
+
+// Unsubscribe (owner only, signed)
+route('delete', '/webhooks/:id', {
+  group: 'Webhooks',
+  summary: 'Delete webhook (owner only)',
+  signed: true,
+  body: { type: 'object', required: ['owner'], properties: { owner: ADDRESS_SCHEMA } }
+}, requireSignature('webhook.delete', 'owner'), (req, res) => {
+  const hook = webhooks.get(req.params.id);
+  if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+
+  if (req.signer !== hook.owner) {
+    return res.status(403).json({ error: 'Not webhook owner' });
+  }
+
+  store.transaction(() => {
+    webhooks.delete(hook.id);
+    Array.from(webhookDeliveries.values())
+      .filter(d => d.webhookId === hook.id)
+      .forEach(d => webhookDeliveries.delete(d.id));
+  });
+
+  res.json({ success: true, deleted: hook.id });
+});
+
+// ============================================================================
+// API: EVENTS (Server-Sent Events)
 // ============================================================================
 
-// Add project to registry (self-register)
+// The last EVENT_BUFFER_SIZE events are kept so reconnecting clients can
+// resume from their Last-Event-ID.
+
+const EVENT_BUFFER_SIZE = parseInt(process.env.EVENT_BUFFER_SIZE) || 1000;
+const SSE_HEARTBEAT_MS = 25 * 1000;
+const eventBuffer = [];
+
+registryEvents.on('event', event => {
+  eventBuffer.push(event);
+  if (eventBuffer.length > EVENT_BUFFER_SIZE) eventBuffer.shift();
+});
+
+function streamFilter({ projectId, category, address }) {
+  const projectIds = toList(projectId);
+  const cats = toList(category);
+  const addresses = toList(address).map(a => a.toLowerCase());
+
+  return event => {
+    const { project, signal } = event.data;
+    if (projectIds.length && !projectIds.includes(project.id)) return false;
+    if (cats.length && !cats.includes(project.category)) return false;
+    if (addresses.length && !(signal && addresses.includes(signal.address))) return false;
+    return true;
+  };
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+// Live stream of registry mutations
+route('get', '/events', {
+  group: 'Events',
+  summary: 'Server-Sent Events stream of registry mutations (supports Last-Event-ID)',
+  produces: 'text/event-stream',
+  query: {
+    properties: {
+      projectId: STRING_LIST_SCHEMA,
+      category: STRING_LIST_SCHEMA,
+      address: STRING_LIST_SCHEMA,
+      lastEventId: { type: 'string' }
+    }
+  }
+}, (req, res) => {
+  const filter = streamFilter(req.query);
+  // Judged by where the project stands now, so a replay skips ones hidden since
+  const matches = event => filter(event) &&
+    canSeeProject(req, projects.get(event.data.project.id) || event.data.project);
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: 3000\n\n`);
+
+  // Replay whatever the client missed
+  if (lastEventId) {
+    const index = eventBuffer.findIndex(e => e.id === lastEventId);
+    if (index === -1) {
+      res.write(`event: replay-unavailable\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+    } else {
+      eventBuffer.slice(index + 1).filter(matches).forEach(e => writeEvent(res, e));
+    }
+  }
+
+  const onEvent = event => {
+    if (matches(event)) writeEvent(res, event);
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+  registryEvents.on('event', onEvent);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    registryEvents.off('event', onEvent);
+  });
+});
 
 // ============================================================================
-// WHITELIST MIDDLEWARE
+// API: EXPORT
 // ============================================================================
 
-let _whitelistCache = null;
-let _whitelistCacheTime = 0;
-const WHITELIST_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const EXPORT_TYPES = ['projects', 'signals', 'supporters'];
+const FEED_LIMIT = 50;
+const SNAPSHOT_FORMAT = 'self-curated-registry-snapshot';
+const SNAPSHOT_VERSION = 1;
+// Never leave the server: webhook secrets and payloads
+const SNAPSHOT_PRIVATE_COLLECTIONS = ['webhooks', 'webhookDeliveries', 'rateLimits'];
+// Reporters, moderator notes and pending invites: only exported with the admin key
+const SNAPSHOT_ADMIN_COLLECTIONS = ['flags', 'moderationLog', 'maintainerInvites'];
 
-async function fetchWhitelist() {
-  const now = Date.now();
-  if (_whitelistCache && (now - _whitelistCacheTime) < WHITELIST_CACHE_TTL) {
-    return _whitelistCache;
-  }
-  try {
-    const res = await fetch('https://www.owockibot.xyz/api/whitelist');
-    const data = await res.json();
-    _whitelistCache = new Set(data.map(e => (e.address || e).toLowerCase()));
-    _whitelistCacheTime = now;
-    return _whitelistCache;
-  } catch (err) {
-    console.error('Whitelist fetch failed:', err.message);
-    if (_whitelistCache) return _whitelistCache;
-    return new Set();
+const isText = value => typeof value === 'string';
+
+// Restored records must have the fields the rest of the server relies on
+const SNAPSHOT_RECORD_CHECKS = {
+  projects: p => isText(p.name) && isText(p.owner) && isText(p.category) && isText(p.status) &&
+    Array.isArray(p.tags) && p.tags.every(isText) &&
+    Array.isArray(p.maintainers) && p.maintainers.every(m => m && isText(m.address) && isText(m.role)) &&
+    [p.supportCount, p.totalSignal, p.quadraticScore, p.createdAt, p.updatedAt].every(Number.isFinite),
+  signals: s => isText(s.projectId) && isText(s.address) && [s.amount, s.votes, s.createdAt].every(Number.isFinite),
+  signalEvents: e => isText(e.projectId) && isText(e.address) && Number.isFinite(e.createdAt),
+  revisions: r => isText(r.projectId) && Number.isFinite(r.number) && Boolean(r.snapshot) && Array.isArray(r.snapshot.tags),
+  maintainerInvites: i => isText(i.projectId) && isText(i.address) && isText(i.status),
+  delegations: d => isText(d.delegator) && isText(d.delegate) && isText(d.status)
+};
+
+const isRecordMap = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Collections must be id -> record maps before migrations can run over them
+function snapshotShapeError(collections) {
+  for (const [name, records] of Object.entries(collections)) {
+    if (!isRecordMap(records)) return `collections.${name} must be an object of records`;
+    const bad = Object.keys(records).find(id => !isRecordMap(records[id]));
+    if (bad !== undefined) return `collections.${name}.${bad} must be an object`;
   }
+  return null;
 }
 
-function requireWhitelist(addressField = 'address') {
-  return async (req, res, next) => {
-    const addr = req.body?.[addressField] || req.body?.creator || req.body?.participant || req.body?.sender || req.body?.from || req.body?.address;
-    if (!addr) {
-      return res.status(400).json({ error: 'Address required' });
-    }
-    const whitelist = await fetchWhitelist();
-    if (!whitelist.has(addr.toLowerCase())) {
-      return res.status(403).json({ error: 'Invite-only. Tag @owockibot on X to request access.' });
+// Checks on migrated data: known collections, records keyed by their id,
+// required fields, and signals that point at a restored project
+function snapshotRecordError(collections) {
+  const unknown = Object.keys(collections).find(name => !Object.hasOwn(store.data.collections, name));
+  if (unknown !== undefined) return `Unknown collection "${unknown}"`;
+
+  for (const [name, records] of Object.entries(collections)) {
+    const check = SNAPSHOT_RECORD_CHECKS[name];
+    for (const [id, record] of Object.entries(records)) {
+      if (record.id !== undefined && record.id !== id) return `collections.${name}.${id} has id "${record.id}"`;
+      if (check && !check(record)) return `collections.${name}.${id} is missing required fields`;
     }
-    next();
-  };
+  }
+
+  const orphan = Object.values(collections.signals).find(s => !Object.hasOwn(collections.projects, s.projectId));
+  if (orphan) return `Signal ${orphan.id} refers to missing project ${orphan.projectId}`;
+  return null;
 }
 
+const iso = ms => (ms ? new Date(ms).toISOString() : '');
 
-app.post('/projects', requireWhitelist(), (req, res) => {
-  const { name, description, url, category, owner, logo, tags } = req.body;
+const EXPORT_COLUMNS = {
+  projects: {
+    id: p => p.id,
+    name: p => p.name,
+    description: p => p.description,
+    url: p => p.url,
+    logo: p => p.logo,
+    category: p => p.category,
+    tags: p => p.tags.join(';'),
+    owner: p => p.owner,
+    supportCount: p => p.supportCount,
+    totalSignal: p => p.totalSignal,
+    quadraticScore: p => p.quadraticScore,
+    createdAt: p => iso(p.createdAt),
+    updatedAt: p => iso(p.updatedAt)
+  },
+  signals: {
+    id: s => s.id,
+    projectId: s => s.projectId,
+    projectName: s => projects.get(s.projectId)?.name,
+    address: s => s.address,
+    amount: s => s.amount,
+    votes: s => s.votes,
+    message: s => s.message,
+    createdAt: s => iso(s.createdAt),
+    updatedAt: s => iso(s.updatedAt)
+  },
+  supporters: {
+    address: s => s.address,
+    projectsSupported: s => s.projectsSupported,
+    totalSignal: s => s.totalSignal,
+    firstSignalAt: s => iso(s.firstSignalAt),
+    lastSignalAt: s => iso(s.lastSignalAt)
+  }
+};
 
-  if (!name || !owner) {
-    return res.status(400).json({ 
-      error: 'name and owner address required',
-      example: { 
-        name: 'My Project', 
-        description: 'A cool thing', 
-        url: 'https://...', 
-        category: 'public-goods',
-        owner: '0x...',
-        tags: ['ethereum', 'open-source']
-      }
-    });
+function exportRows(type, query) {
+  const matched = queryProjects(query);
+  if (type === 'projects') return matched;
+
+  const ids = new Set(matched.map(p => p.id));
+  const rows = Array.from(signals.values())
+    .filter(s => ids.has(s.projectId))
+    .sort((a, b) => a.createdAt - b.createdAt);
+  if (type === 'signals') return rows;
+
+  const supporters = new Map();
+  rows.forEach(s => {
+    const entry = supporters.get(s.address) ||
+      { address: s.address, projectsSupported: 0, totalSignal: 0, firstSignalAt: s.createdAt, lastSignalAt: 0 };
+    entry.projectsSupported++;
+    entry.totalSignal += s.amount;
+    entry.lastSignalAt = Math.max(entry.lastSignalAt, s.updatedAt || s.createdAt);
+    supporters.set(s.address, entry);
+  });
+  return Array.from(supporters.values()).sort((a, b) => b.totalSignal - a.totalSignal);
+}
+
+// RFC 4180 quoting; text cells that a spreadsheet would run as a formula
+// get a leading apostrophe
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(type, rows) {
+  const columns = EXPORT_COLUMNS[type];
+  const header = Object.keys(columns).join(',');
+  const lines = rows.map(row => Object.values(columns).map(get => csvCell(get(row))).join(','));
+  return [header, ...lines].join('\r\n') + '\r\n';
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function baseUrl(req) {
+  return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+function feedProjects({ category, tag }) {
+  return queryProjects({ category, tag, sort: 'recent' }).slice(0, FEED_LIMIT);
+}
+
+function feedTitle({ category, tag }) {
+  const scope = [category && `category ${category}`, tag && `tag ${tag}`].filter(Boolean).join(', ');
+  return `Self-Curated Registry - new projects${scope ? ` (${scope})` : ''}`;
+}
+
+// Bulk export in CSV or JSON Lines, honoring the /projects filters
+route('get', '/export', {
+  group: 'Export',
+  summary: 'Bulk export as CSV or JSON Lines',
+  produces: 'text/csv',
+  query: {
+    properties: {
+      type: { type: 'string', enum: EXPORT_TYPES },
+      format: { type: 'string', enum: ['csv', 'jsonl'] },
+      ...PROJECT_QUERY_PROPERTIES
+    }
   }
+}, (req, res) => {
+  const { type = 'projects', format = 'csv' } = req.query;
+
+  const rows = exportRows(type, req.query);
+  const filename = `registry-${type}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
 
-  if (!ethers.isAddress(owner)) {
-    return res.status(400).json({ error: 'Invalid owner address' });
+  if (format === 'csv') {
+    return res.type('text/csv').send(toCsv(type, rows));
   }
+  res.type('application/x-ndjson').send(rows.map(r => JSON.stringify(r)).join('\n') + (rows.length ? '\n' : ''));
+});
 
-  const projectCategory = categories.has(category) ? category : 'other';
+// RSS 2.0 feed of newly added projects
+route('get', '/feeds/projects.rss', {
+  group: 'Export',
+  summary: 'RSS feed of new projects',
+  produces: 'application/rss+xml',
+  query: { properties: { category: { type: 'string' }, tag: { type: 'string' } } }
+}, (req, res) => {
+  const base = baseUrl(req);
+  const items = feedProjects(req.query).map(p => `
+    <item>
+      <title>${escapeXml(p.name)}</title>
+      <link>${escapeXml(p.url || `${base}/projects/${p.id}`)}</link>
+      <guid isPermaLink="false">${p.id}</guid>
+      <category>${escapeXml(p.category)}</category>
+      <description>${escapeXml(p.description)}</description>
+      <pubDate>${new Date(p.createdAt).toUTCString()}</pubDate>
+    </item>`).join('');
 
-  const project = {
-    id: uuidv4(),
-    name,
-    description: description || '',
-    url: url || null,
-    logo: logo || null,
-    category: projectCategory,
-    tags: Array.isArray(tags) ? tags.slice(0, 10) : [],
-    owner: owner.toLowerCase(),
-    supportCount: 0,
-    totalSignal: 0,
-    createdAt: Date.now(),
-    updatedAt: Date.now()
-  };
+  res.type('application/rss+xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeXml(feedTitle(req.query))}</title>
+    <link>${escapeXml(base)}/</link>
+    <description>Projects that added themselves to the registry</description>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`);
+});
 
-  projects.set(project.id, project);
-  console.log(`[PROJECT ADDED] ${project.id}: ${name} by ${owner.slice(0, 10)}...`);
-  
-  res.status(201).json(project);
+// Atom feed of newly added projects
+route('get', '/feeds/projects.atom', {
+  group: 'Export',
+  summary: 'Atom feed of new projects',
+  produces: 'application/atom+xml',
+  query: { properties: { category: { type: 'string' }, tag: { type: 'string' } } }
+}, (req, res) => {
+  const base = baseUrl(req);
+  const list = feedProjects(req.query);
+  const entries = list.map(p => `
+  <entry>
+    <title>${escapeXml(p.name)}</title>
+    <id>urn:uuid:${p.id}</id>
+    <link href="${escapeXml(p.url || `${base}/projects/${p.id}`)}"/>
+    <category term="${escapeXml(p.category)}"/>
+    <author><name>${p.owner}</name></author>
+    <published>${iso(p.createdAt)}</published>
+    <updated>${iso(p.updatedAt)}</updated>
+    <summary>${escapeXml(p.description)}</summary>
+  </entry>`).join('');
+
+  res.type('application/atom+xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feedTitle(req.query))}</title>
+  <id>${escapeXml(base + req.originalUrl)}</id>
+  <link rel="self" href="${escapeXml(base + req.originalUrl)}"/>
+  <updated>${iso(list[0]?.createdAt || Date.now())}</updated>${entries}
+</feed>
+`);
 });
 
-// List projects
-app.get('/projects', (req, res) => {
-  const { category, tag, minSupport, sort, limit, offset } = req.query;
-  let results = Array.from(projects.values());
+// Public exports leave out projects that aren't listed and every record tied
+// to them; the admin export is a backup for restore, so it keeps them all
+function publicSnapshotRecords(name, records) {
+  const listed = id => isListed(projects.get(id) || {});
+  const kept = {};
+  Object.entries(records).forEach(([id, record]) => {
+    if (name === 'projects' ? !listed(id) : record.projectId && !listed(record.projectId)) return;
+    kept[id] = name === 'curations'
+      ? { ...record, items: record.items.filter(item => listed(item.projectId)) }
+      : record;
+  });
+  return kept;
+}
+
+// Versioned full-registry snapshot
+route('get', '/snapshot', {
+  group: 'Export',
+  summary: 'Versioned full-registry snapshot (restorable by admins); moderation data and unlisted projects need x-admin-key'
+}, (req, res) => {
+  const complete = hasAdminKey(req);
+  const withheld = complete ? SNAPSHOT_PRIVATE_COLLECTIONS : [...SNAPSHOT_PRIVATE_COLLECTIONS, ...SNAPSHOT_ADMIN_COLLECTIONS];
+  const collections = {};
+  Object.entries(store.data.collections)
+    .filter(([name]) => !withheld.includes(name))
+    .forEach(([name, records]) => collections[name] = complete ? records : publicSnapshotRecords(name, records));
+
+  res.set('Content-Disposition', `attachment; filename="registry-snapshot-${Date.now()}.json"`);
+  res.json({
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    schemaVersion: store.data.meta.schemaVersion,
+    exportedAt: Date.now(),
+    complete,
+    collections
+  });
+});
 
-  // Filters
-  if (category) {
-    results = results.filter(p => p.category === category);
+// Replace the registry with a snapshot (admin only). Private collections are
+// kept, and so is moderation data the snapshot doesn't carry (public exports).
+route('post', SNAPSHOT_RESTORE_PATH, {
+  group: 'Export',
+  summary: 'Restore a registry snapshot',
+  admin: true,
+  bodyFormat: 'A document from GET /snapshot'
+}, requireAdmin, express.json({ limit: process.env.SNAPSHOT_BODY_LIMIT || '50mb' }), (req, res) => {
+  const snapshot = req.body;
+
+  if (snapshot?.format !== SNAPSHOT_FORMAT || snapshot.version !== SNAPSHOT_VERSION) {
+    return res.status(400).json({ error: `Expected a ${SNAPSHOT_FORMAT} v${SNAPSHOT_VERSION} document` });
   }
-  if (tag) {
-    results = results.filter(p => p.tags.includes(tag.toLowerCase()));
+  const schemaVersion = parseInt(snapshot.schemaVersion) || 0;
+  const current = store.data.meta.schemaVersion;
+  if (schemaVersion > current) {
+    return res.status(400).json({ error: `Snapshot schema v${schemaVersion} is newer than this server (v${current})` });
   }
-  if (minSupport) {
-    const min = parseInt(minSupport);
-    results = results.filter(p => p.supportCount >= min);
+  if (!snapshot.collections || typeof snapshot.collections !== 'object') {
+    return res.status(400).json({ error: 'collections required' });
   }
 
-  // Sort
-  switch (sort) {
-    case 'support':
-      results.sort((a, b) => b.supportCount - a.supportCount);
-      break;
-    case 'signal':
-      results.sort((a, b) => b.totalSignal - a.totalSignal);
-      break;
-    case 'oldest':
-      results.sort((a, b) => a.createdAt - b.createdAt);
-      break;
-    case 'recent':
-    default:
-      results.sort((a, b) => b.createdAt - a.createdAt);
+  const collections = Object.fromEntries(Object.entries(snapshot.collections)
+    .filter(([name]) => !SNAPSHOT_PRIVATE_COLLECTIONS.includes(name)));
+  const shapeError = snapshotShapeError(collections);
+  if (shapeError) return res.status(400).json({ error: shapeError });
+
+  SNAPSHOT_PRIVATE_COLLECTIONS.forEach(name => collections[name] = store.data.collections[name]);
+  SNAPSHOT_ADMIN_COLLECTIONS
+    .filter(name => !Object.hasOwn(collections, name))
+    .forEach(name => collections[name] = store.data.collections[name]);
+  Object.keys(store.data.collections)
+    .filter(name => !Object.hasOwn(collections, name))
+    .forEach(name => collections[name] = {});
+
+  // Migrate before checking, so older snapshots are judged by the current schema
+  const data = { meta: { schemaVersion }, collections };
+  try {
+    applyMigrations(data);
+  } catch (err) {
+    return res.status(400).json({ error: `Snapshot could not be migrated: ${err.message}` });
   }
+  const recordError = snapshotRecordError(collections);
+  if (recordError) return res.status(400).json({ error: recordError });
 
-  // Pagination
-  const start = parseInt(offset) || 0;
-  const count = Math.min(parseInt(limit) || 50, 100);
-  const total = results.length;
-  results = results.slice(start, start + count);
+  store.replace(data);
+
+  Array.from(searchIndex.docs.keys()).forEach(unindexProject);
+  Array.from(projects.values()).forEach(indexProject);
+  console.log(`[SNAPSHOT] restored ${projects.size} projects, ${signals.size} signals (schema v${schemaVersion})`);
 
   res.json({
-    projects: results,
-    total,
-    offset: start,
-    limit: count
+    success: true,
+    schemaVersion: store.data.meta.schemaVersion,
+    projects: projects.size,
+    signals: signals.size
   });
 });
 
-// Get project details
-app.get('/projects/:id', (req, res) => {
-  const project = projects.get(req.params.id);
-  if (!project) return res.status(404).json({ error: 'Project not found' });
+// ============================================================================
+// API: ANALYTICS
+// ============================================================================
 
-  // Get recent supporters
-  const projectSignals = Array.from(signals.values())
-    .filter(s => s.projectId === project.id)
-    .sort((a, b) => b.createdAt - a.createdAt)
-    .slice(0, 20);
+// Daily and weekly series replayed from signalEvents. A supporter is "active"
+// while they hold at least one signal in scope; retention is the share of
+// supporters active at the start of a bucket who are still active at its end.
+// Weeks start on Monday (UTC).
 
-  res.json({
-    ...project,
-    recentSupporters: projectSignals
-  });
-});
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const WEEK_OFFSET = 4 * DAY_MS; // 1970-01-01 was a Thursday
+const ANALYTICS_MAX_DAYS = 365;
+const ANALYTICS_MAX_WEEKS = 104;
+const OVERLAP_LIMIT = 10;
 
-// Update project (owner only - trusted for now)
-app.put('/projects/:id', requireWhitelist(), (req, res) => {
-  const project = projects.get(req.params.id);
-  if (!project) return res.status(404).json({ error: 'Project not found' });
+const ANALYTICS_QUERY = {
+  properties: {
+    days: { type: 'integer', minimum: 1, maximum: ANALYTICS_MAX_DAYS, description: 'Daily buckets to return (default 30)' },
+    weeks: { type: 'integer', minimum: 1, maximum: ANALYTICS_MAX_WEEKS, description: 'Weekly buckets to return (default 12)' }
+  }
+};
 
-  const { name, description, url, category, logo, tags, owner } = req.body;
+function bucketStart(ms, size) {
+  return size === WEEK_MS
+    ? Math.floor((ms - WEEK_OFFSET) / WEEK_MS) * WEEK_MS + WEEK_OFFSET
+    : Math.floor(ms / size) * size;
+}
 
-  // Verify owner (trusted for now - signature verification later)
-  if (owner && owner.toLowerCase() !== project.owner) {
-    return res.status(403).json({ error: 'Not project owner' });
+/**
+ * Replay `events` (oldest first) into `count` buckets of `size` ms ending now.
+ * `extra(bucket, start, end)` can add fields to each bucket.
+ */
+function signalSeries(events, size, count, extra = null) {
+  const now = Date.now();
+  const first = bucketStart(now, size) - (count - 1) * size;
+  const active = new Map();  // address -> active signal count
+  const seen = new Set();
+  const buckets = [];
+  let i = 0;
+
+  // Everything before the window only builds up state
+  for (; i < events.length && events[i].createdAt < first; i++) applySignalEvent(events[i], active, seen);
+
+  for (let start = first; start <= now; start += size) {
+    const end = start + size;
+    const atStart = new Set(active.keys());
+    const bucket = { start: new Date(start).toISOString(), newSupporters: 0, signals: 0, signalAmount: 0, removals: 0 };
+
+    for (; i < events.length && events[i].createdAt < end; i++) {
+      const e = events[i];
+      if (e.type === 'add') {
+        bucket.signals++;
+        bucket.signalAmount += e.amount;
+        if (!seen.has(e.address)) bucket.newSupporters++;
+      } else {
+        bucket.removals++;
+      }
+      applySignalEvent(e, active, seen);
+    }
+
+    const stayed = Array.from(atStart).filter(a => active.has(a)).length;
+    bucket.supporters = active.size;
+    bucket.retention = atStart.size ? round(stayed / atStart.size) : null;
+    if (extra) Object.assign(bucket, extra(start, end));
+    buckets.push(bucket);
+  }
+  return buckets;
+}
+
+// A signal becomes active on its first add and inactive on removal
+function applySignalEvent(e, active, seen) {
+  seen.add(e.address);
+  if (e.type === 'add') {
+    if (e.first) active.set(e.address, (active.get(e.address) || 0) + 1);
+  } else {
+    const remaining = (active.get(e.address) || 1) - 1;
+    if (remaining > 0) active.set(e.address, remaining);
+    else active.delete(e.address);
   }
+}
 
-  if (name) project.name = name;
-  if (description !== undefined) project.description = description;
-  if (url !== undefined) project.url = url;
-  if (logo !== undefined) project.logo = logo;
-  if (category && categories.has(category)) project.category = category;
-  if (tags && Array.isArray(tags)) project.tags = tags.slice(0, 10);
-  project.updatedAt = Date.now();
+// Events in scope, oldest first, with `first` marking the add that opened each signal
+function scopedEvents(filter) {
+  const opened = new Set();
+  return Array.from(signalEvents.values())
+    .filter(filter)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(e => {
+      const first = e.type === 'add' && !opened.has(e.signalId);
+      if (e.type === 'add') opened.add(e.signalId);
+      else opened.delete(e.signalId);
+      return { ...e, first };
+    });
+}
 
-  projects.set(project.id, project);
-  res.json(project);
-});
+function analyticsWindow(query) {
+  return {
+    days: parseInt(query.days) || 30,
+    weeks: parseInt(query.weeks) || 12
+  };
+}
 
-// Delete project (owner only - trusted for now)
-app.delete('/projects/:id', (req, res) => {
+// Projects this project's supporters also back
+function supporterOverlap(project) {
+  const supporters = new Set(Array.from(signals.values())
+    .filter(s => s.projectId === project.id)
+    .map(s => s.address));
+  if (supporters.size === 0) return [];
+
+  const shared = new Map();  // projectId -> count
+  const otherSizes = new Map();
+  signals.forEach(s => {
+    if (s.projectId === project.id) return;
+    otherSizes.set(s.projectId, (otherSizes.get(s.projectId) || 0) + 1);
+    if (supporters.has(s.address)) shared.set(s.projectId, (shared.get(s.projectId) || 0) + 1);
+  });
+
+  return Array.from(shared.entries())
+    .map(([id, count]) => ({ other: projects.get(id), count }))
+    .filter(({ other }) => other && isListed(other))
+    .map(({ other, count }) => ({
+      projectId: other.id,
+      name: other.name,
+      category: other.category,
+      sharedSupporters: count,
+      share: round(count / supporters.size),
+      jaccard: round(count / (supporters.size + otherSizes.get(other.id) - count))
+    }))
+    .sort((a, b) => b.sharedSupporters - a.sharedSupporters || b.jaccard - a.jaccard)
+    .slice(0, OVERLAP_LIMIT);
+}
+
+// Support over time for one project
+route('get', '/projects/:id/analytics', {
+  group: 'Analytics',
+  summary: 'Daily and weekly supporter, signal, removal and retention series plus supporter overlap',
+  query: ANALYTICS_QUERY
+}, (req, res) => {
   const project = projects.get(req.params.id);
-  if (!project) return res.status(404).json({ error: 'Project not found' });
+  if (!project || !isListed(project)) return res.status(404).json({ error: 'Project not found' });
 
-  const { owner } = req.body;
+  const { days, weeks } = analyticsWindow(req.query);
+  const events = scopedEvents(e => e.projectId === project.id);
 
-  if (owner && owner.toLowerCase() !== project.owner) {
-    return res.status(403).json({ error: 'Not project owner' });
-  }
+  res.json({
+    projectId: project.id,
+    totals: {
+      supporters: project.supportCount,
+      totalSignal: project.totalSignal,
+      everSupported: new Set(events.map(e => e.address)).size,
+      removals: events.filter(e => e.type === 'remove').length
+    },
+    daily: signalSeries(events, DAY_MS, days),
+    weekly: signalSeries(events, WEEK_MS, weeks),
+    overlap: supporterOverlap(project)
+  });
+});
 
-  projects.delete(project.id);
-  
-  // Remove signals for this project
-  Array.from(signals.entries())
-    .filter(([_, s]) => s.projectId === project.id)
-    .forEach(([id, _]) => signals.delete(id));
+// Registry-wide totals, shared by /stats and the `current` block of /stats/timeseries
+function registryTotals() {
+  const allSignals = Array.from(signals.values());
+  const supporterCount = new Set(allSignals.map(s => s.address)).size;
+  const { supporters, clusters } = reputationSnapshot();
+  const weightedSupporters = Array.from(supporters.values()).reduce((sum, r) => sum + r.weight, 0);
 
-  res.json({ success: true, deleted: project.id });
+  return {
+    projects: projects.size,
+    listedProjects: Array.from(projects.values()).filter(isListed).length,
+    signals: allSignals.length,
+    signalAmount: allSignals.reduce((sum, s) => sum + s.amount, 0),
+    supporters: supporterCount,
+    weightedSupporters: round(weightedSupporters),
+    supportConfidence: supporterCount ? round(weightedSupporters / supporterCount) : 0,
+    suspectedClusters: clusters.length,
+    categories: categories.size
+  };
+}
+
+// Registry-wide totals plus series
+route('get', '/stats/timeseries', {
+  group: 'Analytics',
+  summary: 'Registry-wide totals plus daily and weekly series of projects, supporters, signals and retention',
+  query: ANALYTICS_QUERY
+}, (req, res) => {
+  const { days, weeks } = analyticsWindow(req.query);
+  const events = scopedEvents(() => true);
+  const created = Array.from(projects.values()).map(p => p.createdAt);
+  const projectCounts = (start, end) => ({
+    newProjects: created.filter(t => t >= start && t < end).length,
+    projects: created.filter(t => t < end).length
+  });
+
+  res.json({
+    generatedAt: new Date().toISOString(),
+    current: registryTotals(),
+    daily: signalSeries(events, DAY_MS, days, projectCounts),
+    weekly: signalSeries(events, WEEK_MS, weeks, projectCounts)
+  });
 });
 
 // ============================================================================
-// API: SIGNALS (Support)
+// API: FUNDING ROUNDS
 // ============================================================================
 
-// Signal support for a project
-app.post('/projects/:id/signal', requireWhitelist(), (req, res) => {
-  const project = projects.get(req.params.id);
-  if (!project) return res.status(404).json({ error: 'Project not found' });
+// A round is a time window, an eligibility filter and a matching pool. Only
+// signal added inside the window counts, and removing a signal inside the
+// window withdraws it. Allocation formulas:
+//   proportional - pool split by each project's signal in the window
+//   quadratic    - quadratic funding: (sum of sqrt(contribution))² - sum of contributions
+//   capped       - quadratic, but no project gets more than `cap` of the pool;
+//                  the excess is shared among the rest in proportion to their scores
 
-  const { address, amount, message } = req.body;
+const ROUND_FORMULAS = ['proportional', 'quadratic', 'capped'];
+const ROUND_DEFAULT_CAP = 0.25;
 
-  if (!address) {
-    return res.status(400).json({ error: 'address required' });
-  }
+const ROUND_FIELDS = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  description: { type: 'string', maxLength: 2000 },
+  startsAt: { type: ['integer', 'string'], description: 'Unix ms or ISO 8601' },
+  endsAt: { type: ['integer', 'string'], description: 'Unix ms or ISO 8601' },
+  matchingPool: { type: 'number', minimum: 0 },
+  token: { type: 'string', maxLength: 20, description: 'Label for payouts, e.g. USDC' },
+  formula: { type: 'string', enum: ROUND_FORMULAS },
+  cap: { type: 'number', minimum: 0.01, maximum: 1, description: 'Max share of the pool per project (capped only)' },
+  categories: { type: 'array', items: { type: 'string', enum: Array.from(categories) } },
+  tags: { type: 'array', items: { type: 'string' } }
+};
 
-  if (!ethers.isAddress(address)) {
-    return res.status(400).json({ error: 'Invalid address' });
-  }
+function parseTime(value) {
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
 
-  const signalAmount = Math.max(1, Math.min(100, parseInt(amount) || 1));
+function roundStatus(fundingRound, now = Date.now()) {
+  if (now < fundingRound.startsAt) return 'upcoming';
+  if (now < fundingRound.endsAt) return 'active';
+  return 'closed';
+}
 
-  // Check if already signaled
-  const existing = Array.from(signals.values())
-    .find(s => s.projectId === project.id && s.address === address.toLowerCase());
+function publicRound(fundingRound) {
+  return { ...fundingRound, status: roundStatus(fundingRound) };
+}
 
-  if (existing) {
-    // Update existing signal
-    existing.amount += signalAmount;
-    existing.message = message || existing.message;
-    existing.updatedAt = Date.now();
-    signals.set(existing.id, existing);
+// Apply body fields onto `fundingRound`. Returns an error message or null.
+function applyRoundFields(fundingRound, body) {
+  const { name, description, startsAt, endsAt, matchingPool, token, formula, cap, categories: cats, tags } = body;
 
-    project.totalSignal += signalAmount;
-    projects.set(project.id, project);
+  if (name !== undefined) fundingRound.name = name;
+  if (description !== undefined) fundingRound.description = description;
+  if (startsAt !== undefined) fundingRound.startsAt = parseTime(startsAt);
+  if (endsAt !== undefined) fundingRound.endsAt = parseTime(endsAt);
+  if (matchingPool !== undefined) fundingRound.matchingPool = matchingPool;
+  if (token !== undefined) fundingRound.token = token;
+  if (formula !== undefined) fundingRound.formula = formula;
+  if (cap !== undefined) fundingRound.cap = cap;
+  if (cats !== undefined) fundingRound.eligibility.categories = Array.from(new Set(cats));
+  if (tags !== undefined) fundingRound.eligibility.tags = normalizeTags(tags);
 
-    return res.json({
-      signal: existing,
-      project: {
-        id: project.id,
-        name: project.name,
-        supportCount: project.supportCount,
-        totalSignal: project.totalSignal
-      }
+  if (fundingRound.startsAt === null || fundingRound.endsAt === null) return 'startsAt and endsAt must be valid times';
+  if (fundingRound.endsAt <= fundingRound.startsAt) return 'endsAt must be after startsAt';
+  return null;
+}
+
+function roundEligible(fundingRound, project) {
+  const { categories: cats, tags } = fundingRound.eligibility;
+  return isListed(project) &&
+    project.createdAt < fundingRound.endsAt &&
+    (cats.length === 0 || cats.includes(project.category)) &&
+    (tags.length === 0 || project.tags.some(t => tags.includes(t)));
+}
+
+// Per-project, per-supporter signal inside the window
+function roundContributions(fundingRound) {
+  const perProject = new Map();  // projectId -> Map(address -> amount)
+  Array.from(signalEvents.values())
+    .filter(e => e.createdAt >= fundingRound.startsAt && e.createdAt < fundingRound.endsAt)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .forEach(e => {
+      if (!perProject.has(e.projectId)) perProject.set(e.projectId, new Map());
+      const supporters = perProject.get(e.projectId);
+      if (e.type === 'add') supporters.set(e.address, (supporters.get(e.address) || 0) + e.amount);
+      else supporters.delete(e.address);
     });
-  }
+  return perProject;
+}
 
-  const signal = {
-    id: uuidv4(),
-    projectId: project.id,
-    address: address.toLowerCase(),
-    amount: signalAmount,
-    message: message || null,
-    createdAt: Date.now()
-  };
+// Split `pool` by score, capping each share at `maxShare` and re-sharing the excess
+function distributeCapped(scores, pool, maxShare) {
+  const payouts = new Map();
+  const capped = new Set();
+  let remaining = pool;
+  let open = Array.from(scores.keys()).filter(id => scores.get(id) > 0);
 
-  signals.set(signal.id, signal);
+  while (open.length > 0 && remaining > 1e-9) {
+    const total = open.reduce((sum, id) => sum + scores.get(id), 0);
+    const over = open.filter(id => (payouts.get(id) || 0) + remaining * scores.get(id) / total > pool * maxShare);
+    if (over.length === 0) {
+      open.forEach(id => payouts.set(id, (payouts.get(id) || 0) + remaining * scores.get(id) / total));
+      break;
+    }
+    over.forEach(id => {
+      remaining -= pool * maxShare - (payouts.get(id) || 0);
+      payouts.set(id, pool * maxShare);
+      capped.add(id);
+    });
+    open = open.filter(id => !capped.has(id));
+  }
+  return { payouts, capped };
+}
 
-  // Update project stats
-  project.supportCount++;
-  project.totalSignal += signalAmount;
-  projects.set(project.id, project);
+const toUnits = n => Math.round(n * 1e6) / 1e6;
 
-  console.log(`[SIGNAL] ${address.slice(0, 10)}... supported ${project.name} with ${signalAmount}`);
+/**
+ * Payouts for every eligible project with the numbers behind them.
+ */
+function computeAllocations(fundingRound) {
+  const contributions = roundContributions(fundingRound);
+  const eligible = Array.from(projects.values()).filter(p => roundEligible(fundingRound, p));
+  const quadratic = fundingRound.formula !== 'proportional';
 
-  res.status(201).json({
-    signal,
-    project: {
-      id: project.id,
+  const rows = eligible.map(project => {
+    const supporters = Array.from((contributions.get(project.id) || new Map()).entries())
+      .map(([address, amount]) => ({ address, amount }))
+      .sort((a, b) => b.amount - a.amount);
+    const windowSignal = supporters.reduce((sum, c) => sum + c.amount, 0);
+    const sumOfRoots = supporters.reduce((sum, c) => sum + Math.sqrt(c.amount), 0);
+    return {
+      projectId: project.id,
       name: project.name,
-      supportCount: project.supportCount,
-      totalSignal: project.totalSignal
-    }
+      category: project.category,
+      contributors: supporters.length,
+      windowSignal,
+      sumOfRoots: toUnits(sumOfRoots),
+      score: quadratic ? toUnits(sumOfRoots ** 2 - windowSignal) : windowSignal,
+      contributions: supporters
+    };
   });
-});
 
-// Remove signal
-app.delete('/projects/:id/signal', (req, res) => {
-  const project = projects.get(req.params.id);
-  if (!project) return res.status(404).json({ error: 'Project not found' });
+  const scores = new Map(rows.map(r => [r.projectId, r.score]));
+  const totalScore = rows.reduce((sum, r) => sum + r.score, 0);
+  const { payouts, capped } = fundingRound.formula === 'capped'
+    ? distributeCapped(scores, fundingRound.matchingPool, fundingRound.cap)
+    : {
+      payouts: new Map(rows.map(r => [r.projectId, totalScore ? fundingRound.matchingPool * r.score / totalScore : 0])),
+      capped: new Set()
+    };
 
-  const { address } = req.body;
+  const allocations = rows
+    .map(r => ({
+      ...r,
+      share: totalScore ? toUnits(r.score / totalScore) : 0,
+      payout: toUnits(payouts.get(r.projectId) || 0),
+      capped: capped.has(r.projectId)
+    }))
+    .sort((a, b) => b.payout - a.payout || b.windowSignal - a.windowSignal);
 
-  if (!address) {
-    return res.status(400).json({ error: 'address required' });
-  }
+  return {
+    round: publicRound(fundingRound),
+    formula: {
+      name: fundingRound.formula,
+      score: quadratic
+        ? 'score = (Σ √contribution)² − Σ contribution'
+        : 'score = Σ contribution',
+      payout: fundingRound.formula === 'capped'
+        ? `payout = pool × score / Σ score, at most ${fundingRound.cap} × pool; excess re-shared among uncapped projects`
+        : 'payout = pool × score / Σ score'
+    },
+    totals: {
+      matchingPool: fundingRound.matchingPool,
+      distributed: toUnits(allocations.reduce((sum, a) => sum + a.payout, 0)),
+      eligibleProjects: allocations.length,
+      fundedProjects: allocations.filter(a => a.payout > 0).length,
+      contributors: new Set(allocations.flatMap(a => a.contributions.map(c => c.address))).size,
+      windowSignal: allocations.reduce((sum, a) => sum + a.windowSignal, 0),
+      totalScore: toUnits(totalScore)
+    },
+    allocations
+  };
+}
 
-  const existing = Array.from(signals.values())
-    .find(s => s.projectId === project.id && s.address === address.toLowerCase());
+const ALLOCATION_COLUMNS = ['projectId', 'name', 'category', 'contributors', 'windowSignal', 'sumOfRoots', 'score', 'share', 'payout', 'capped'];
 
-  if (!existing) {
-    return res.status(404).json({ error: 'Signal not found' });
-  }
+// Create a round (admin only)
+route('post', '/rounds', {
+  group: 'Rounds',
+  summary: 'Create a funding round',
+  admin: true,
+  status: 201,
+  body: { type: 'object', required: ['name', 'startsAt', 'endsAt', 'matchingPool'], properties: ROUND_FIELDS }
+}, requireAdmin, (req, res) => {
+  const fundingRound = {
+    id: uuidv4(),
+    name: '',
+    description: '',
+    startsAt: null,
+    endsAt: null,
+    matchingPool: 0,
+    token: null,
+    formula: 'quadratic',
+    cap: ROUND_DEFAULT_CAP,
+    eligibility: { categories: [], tags: [] },
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
 
-  // Update project stats
-  project.supportCount = Math.max(0, project.supportCount - 1);
-  project.totalSignal = Math.max(0, project.totalSignal - existing.amount);
-  projects.set(project.id, project);
+  const error = applyRoundFields(fundingRound, req.body);
+  if (error) return res.status(400).json({ error });
+
+  rounds.set(fundingRound.id, fundingRound);
+  res.status(201).json(publicRound(fundingRound));
+});
 
-  signals.delete(existing.id);
+// List rounds, newest window first
+route('get', '/rounds', {
+  group: 'Rounds',
+  summary: 'List funding rounds',
+  query: { properties: { status: { type: 'string', enum: ['upcoming', 'active', 'closed'] } } }
+}, (req, res) => {
+  const result = Array.from(rounds.values())
+    .map(publicRound)
+    .filter(r => !req.query.status || r.status === req.query.status)
+    .sort((a, b) => b.startsAt - a.startsAt);
 
-  res.json({ success: true, removed: existing.id });
+  res.json(result);
 });
 
-// Get supporter's signals
-app.get('/supporters/:address', (req, res) => {
-  const { address } = req.params;
+route('get', '/rounds/:id', { group: 'Rounds', summary: 'Funding round' }, (req, res) => {
+  const fundingRound = rounds.get(req.params.id);
+  if (!fundingRound) return res.status(404).json({ error: 'Round not found' });
+  res.json(publicRound(fundingRound));
+});
 
-  if (!ethers.isAddress(address)) {
-    return res.status(400).json({ error: 'Invalid address' });
-  }
+// Edit a round (admin only)
+route('put', '/rounds/:id', {
+  group: 'Rounds',
+  summary: 'Update a funding round',
+  admin: true,
+  body: { type: 'object', properties: ROUND_FIELDS }
+}, requireAdmin, (req, res) => {
+  const existing = rounds.get(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Round not found' });
 
-  const addr = address.toLowerCase();
-  const supporterSignals = Array.from(signals.values())
-    .filter(s => s.address === addr)
-    .map(s => {
-      const project = projects.get(s.projectId);
-      return {
-        ...s,
-        projectName: project?.name,
-        projectCategory: project?.category
-      };
-    })
-    .sort((a, b) => b.createdAt - a.createdAt);
+  const fundingRound = structuredClone(existing);
+  const error = applyRoundFields(fundingRound, req.body);
+  if (error) return res.status(400).json({ error });
 
-  const totalSignal = supporterSignals.reduce((sum, s) => sum + s.amount, 0);
+  fundingRound.updatedAt = Date.now();
+  rounds.set(fundingRound.id, fundingRound);
+  res.json(publicRound(fundingRound));
+});
 
-  res.json({
-    address: addr,
-    projectsSupported: supporterSignals.length,
-    totalSignal,
-    signals: supporterSignals
-  });
+route('delete', '/rounds/:id', {
+  group: 'Rounds',
+  summary: 'Delete a funding round',
+  admin: true
+}, requireAdmin, (req, res) => {
+  if (!rounds.delete(req.params.id)) return res.status(404).json({ error: 'Round not found' });
+  res.json({ success: true, deleted: req.params.id });
+});
+
+// Payouts with the full calculation, as JSON or CSV
+route('get', '/rounds/:id/allocations', {
+  group: 'Rounds',
+  summary: 'Per-project payouts with the calculation breakdown',
+  query: { properties: { format: { type: 'string', enum: ['json', 'csv'] } } }
+}, (req, res) => {
+  const fundingRound = rounds.get(req.params.id);
+  if (!fundingRound) return res.status(404).json({ error: 'Round not found' });
+
+  const result = computeAllocations(fundingRound);
+
+  if (req.query.format === 'csv') {
+    const lines = result.allocations.map(a => ALLOCATION_COLUMNS.map(c => csvCell(a[c])).join(','));
+    res.set('Content-Disposition', `attachment; filename="round-${fundingRound.id}-allocations.csv"`);
+    return res.type('text/csv').send([ALLOCATION_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n');
+  }
+  res.json(result);
 });
 
 // ============================================================================
-// API: DISCOVERY
+// API: SNAPSHOTS (Merkle commitments)
 // ============================================================================
 
-// Get categories with counts
-app.get('/categories', (req, res) => {
-  const counts = {};
-  categories.forEach(c => counts[c] = 0);
-  
-  Array.from(projects.values()).forEach(p => {
-    counts[p.category] = (counts[p.category] || 0) + 1;
-  });
+// A snapshot freezes every listed project's standing and commits to it with a
+// Merkle root, so contracts can trust rankings without trusting this server.
+// Leaves follow OpenZeppelin's StandardMerkleTree:
+//   leaf = keccak256(bytes.concat(keccak256(abi.encode(string projectId, address owner, uint256 supportCount, uint256 totalSignal))))
+// and parents hash their children sorted, so MerkleProof.verify() checks a proof as-is.
+// totalSignal is the integer direct signal; derived delegated weight isn't committed.
+// An odd node at the end of a level is promoted unchanged.
 
-  const result = Object.entries(counts)
-    .map(([name, count]) => ({ name, count }))
-    .sort((a, b) => b.count - a.count);
+const SNAPSHOT_LEAF_TYPES = ['string', 'address', 'uint256', 'uint256'];
 
-  res.json(result);
+function snapshotLeafHash({ projectId, owner, supportCount, totalSignal }) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder()
+    .encode(SNAPSHOT_LEAF_TYPES, [projectId, owner, supportCount, totalSignal]);
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+function hashPair(a, b) {
+  return ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+}
+
+// Levels from the (sorted) leaves up to the root
+function merkleLevels(leaves) {
+  const levels = [leaves];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+function merkleProof(levels, index) {
+  const proof = [];
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const sibling = index ^ 1;
+    if (sibling < levels[depth].length) proof.push(levels[depth][sibling]);
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+function verifyMerkleProof(leaf, proof, root) {
+  return proof.reduce(hashPair, leaf) === root;
+}
+
+/**
+ * Freeze the listed projects into leaves sorted by hash, plus the root.
+ */
+function buildMerkleSnapshot() {
+  const entries = Array.from(projects.values())
+    .filter(isListed)
+    .map(p => ({
+      projectId: p.id,
+      owner: ethers.getAddress(p.owner),
+      supportCount: p.supportCount,
+      totalSignal: p.totalSignal
+    }))
+    .map(entry => ({ ...entry, leaf: snapshotLeafHash(entry) }))
+    .sort((a, b) => (a.leaf < b.leaf ? -1 : 1));
+
+  const levels = merkleLevels(entries.map(e => e.leaf));
+  return {
+    root: entries.length ? levels[levels.length - 1][0] : ethers.ZeroHash,
+    leaves: entries
+  };
+}
+
+// Snapshot without its leaves, for listings
+function snapshotSummary({ leaves, ...summary }) {
+  return summary;
+}
+
+// Freeze current standings (admin only)
+route('post', '/snapshots', {
+  group: 'Snapshots',
+  summary: 'Freeze current project standings into a Merkle-committed snapshot',
+  admin: true,
+  status: 201,
+  body: { type: 'object', properties: { note: { type: 'string', maxLength: 280 } } }
+}, requireAdmin, (req, res) => {
+  const { root, leaves } = buildMerkleSnapshot();
+  const snapshot = {
+    id: uuidv4(),
+    root,
+    note: req.body?.note || null,
+    leafEncoding: `keccak256(keccak256(abi.encode(${SNAPSHOT_LEAF_TYPES.join(', ')}))) over (projectId, owner, supportCount, totalSignal); sorted-pair parents`,
+    projectCount: leaves.length,
+    signalCount: signals.size,
+    totalSignal: leaves.reduce((sum, l) => sum + l.totalSignal, 0),
+    createdAt: Date.now(),
+    leaves
+  };
+
+  snapshots.set(snapshot.id, snapshot);
+  console.log(`[SNAPSHOT] ${snapshot.id}: ${leaves.length} projects, root ${root}`);
+  res.status(201).json(snapshot);
 });
 
-// Get popular tags
-app.get('/tags', (req, res) => {
-  const tagCounts = new Map();
-  
-  Array.from(projects.values()).forEach(p => {
-    p.tags.forEach(tag => {
-      tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
-    });
-  });
+route('get', '/snapshots', {
+  group: 'Snapshots',
+  summary: 'List Merkle snapshots, newest first',
+  query: { properties: { limit: LIMIT_SCHEMA, offset: OFFSET_SCHEMA } }
+}, (req, res) => {
+  const all = Array.from(snapshots.values()).sort((a, b) => b.createdAt - a.createdAt);
+  const start = parseInt(req.query.offset) || 0;
+  const count = Math.min(parseInt(req.query.limit) || 50, 100);
 
-  const result = Array.from(tagCounts.entries())
-    .map(([name, count]) => ({ name, count }))
-    .sort((a, b) => b.count - a.count)
-    .slice(0, 50);
+  res.json({
+    snapshots: all.slice(start, start + count).map(snapshotSummary),
+    total: all.length,
+    offset: start,
+    limit: count
+  });
+});
 
-  res.json(result);
+route('get', '/snapshots/:id', {
+  group: 'Snapshots',
+  summary: 'Snapshot with every committed leaf'
+}, (req, res) => {
+  const snapshot = snapshots.get(req.params.id);
+  if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+  res.json(snapshot);
 });
 
-// Search projects
-app.get('/search', (req, res) => {
-  const { q, limit } = req.query;
-  
-  if (!q || q.length < 2) {
-    return res.status(400).json({ error: 'Query must be at least 2 characters' });
-  }
+// Inclusion proof for one project, checkable with OpenZeppelin MerkleProof.verify
+route('get', '/snapshots/:id/proof/:projectId', {
+  group: 'Snapshots',
+  summary: 'Merkle inclusion proof for a project in a snapshot'
+}, (req, res) => {
+  const snapshot = snapshots.get(req.params.id);
+  if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+
+  const index = snapshot.leaves.findIndex(l => l.projectId === req.params.projectId);
+  if (index === -1) return res.status(404).json({ error: 'Project not in this snapshot' });
 
-  const query = q.toLowerCase();
-  let results = Array.from(projects.values())
-    .filter(p => 
-      p.name.toLowerCase().includes(query) ||
-      p.description.toLowerCase().includes(query) ||
-      p.tags.some(t => t.includes(query))
-    )
-    .sort((a, b) => b.supportCount - a.supportCount)
-    .slice(0, parseInt(limit) || 20);
+  const { leaf, ...values } = snapshot.leaves[index];
+  const proof = merkleProof(merkleLevels(snapshot.leaves.map(l => l.leaf)), index);
 
-  res.json(results);
+  res.json({
+    snapshotId: snapshot.id,
+    root: snapshot.root,
+    createdAt: snapshot.createdAt,
+    values,
+    types: SNAPSHOT_LEAF_TYPES,
+    leaf,
+    proof,
+    valid: verifyMerkleProof(leaf, proof, snapshot.root)
+  });
 });
 
 // ============================================================================
 // UTILITY
 // ============================================================================
 
-app.get('/stats', (req, res) => {
-  const allProjects = Array.from(projects.values());
-  const allSignals = Array.from(signals.values());
-  const totalSignal = allSignals.reduce((sum, s) => sum + s.amount, 0);
-  const uniqueSupporters = new Set(allSignals.map(s => s.address)).size;
-
+// The original totals, same fields as ever; /stats/timeseries has more
+route('get', '/stats', { group: 'Analytics', summary: 'Registry totals (see /stats/timeseries for series and more totals)' }, (req, res) => {
+  const totals = registryTotals();
   res.json({
-    totalProjects: allProjects.length,
-    totalSignals: allSignals.length,
-    totalSignalAmount: totalSignal,
-    uniqueSupporters,
-    categories: categories.size
+    totalProjects: totals.projects,
+    totalSignals: totals.signals,
+    totalSignalAmount: totals.signalAmount,
+    uniqueSupporters: totals.supporters,
+    categories: totals.categories
   });
 });
 
-app.get('/health', (req, res) => {
+route('get', '/health', { group: 'Meta', summary: 'Service health and configuration' }, (req, res) => {
   res.json({
     status: 'ok',
     platform: 'Self-Curated Registry',
+    storage: { adapter: STORAGE_ADAPTER, persistent: store.adapter.persistent && !process.env.VERCEL, schemaVersion: store.data.meta.schemaVersion },
+    signalMode: SIGNAL_MODE,
+    access: { provider: ACCESS_PROVIDER, policies: accessPolicies, failMode: ACCESS_FAIL_MODE },
+    rateLimits: rateLimitPolicies,
     description: 'No gatekeeping - projects add themselves, community signals support',
-    features: ['self-registration', 'community signals', 'categories', 'tags', 'search']
+    features: ['self-registration', 'community signals', 'categories', 'tags', 'search', 'trending', 'moderation', 'webhooks', 'live events', 'exports', 'collections', 'weighted support', 'access control', 'rate limits', 'web ui', 'analytics', 'funding rounds', 'verification', 'merkle snapshots', 'delegation']
+  });
+});
+
+// ============================================================================
+// API: DOCS
+// ============================================================================
+
+// Both documents are generated from the route() declarations, so a route
+// can't be added without showing up here.
+
+const PACKAGE_VERSION = require('./package.json').version;
+
+// Body schema as documented: signed routes also carry the signature fields
+function documentedBody(spec) {
+  if (!spec.body) return null;
+  if (!spec.signed) return spec.body;
+  return { ...spec.body, properties: { ...spec.body.properties, ...SIGNATURE_SCHEMAS } };
+}
+
+// "name?" for optional fields, with enum values spelled out
+function describeFields(schema) {
+  const required = schema.required || [];
+  return Object.entries(schema.properties || {}).map(([name, field]) =>
+    `${name}${required.includes(name) ? '' : '?'}${field.enum ? ` (${field.enum.join('|')})` : ''}`);
+}
+
+function agentEndpoints() {
+  return apiRoutes.map(spec => {
+    const endpoint = { method: spec.method, path: spec.path, description: spec.summary };
+    if (spec.admin) endpoint.auth = 'x-admin-key';
+    if (spec.body) endpoint.params = [...describeFields(spec.body), ...(spec.signed ? SIGNATURE_FIELDS : [])];
+    if (spec.bodyFormat) endpoint.body = spec.bodyFormat;
+    if (spec.query) endpoint.query = describeFields(spec.query);
+    return endpoint;
+  });
+}
+
+function openApiOperation(spec) {
+  const operation = {
+    summary: spec.summary,
+    tags: [spec.group],
+    parameters: [
+      ...pathParamNames(spec.path).map(name => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: spec.params?.[name] || { type: 'string' }
+      })),
+      ...Object.entries(spec.query?.properties || {}).map(([name, schema]) => ({
+        name,
+        in: 'query',
+        required: (spec.query.required || []).includes(name),
+        schema
+      }))
+    ],
+    responses: {
+      [spec.status || 200]: {
+        description: 'Success',
+        content: { [spec.produces || 'application/json']: {} }
+      },
+      400: {
+        description: 'Invalid request',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      }
+    }
+  };
+
+  const body = documentedBody(spec);
+  if (body) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: body } } };
+  } else if (spec.bodyFormat) {
+    operation.requestBody = { required: true, description: spec.bodyFormat, content: { 'application/json': {}, 'text/csv': {} } };
+  }
+  if (spec.signed) {
+    operation.description = 'Signed: include signature, signatureType, nonce and expiry (see GET /nonce/{address}).';
+    operation.responses[401] = { description: 'Missing or invalid signature' };
+  }
+  if (spec.admin) {
+    operation.security = [{ adminKey: [] }];
+    operation.responses[401] = { description: 'Missing or wrong admin key' };
+  }
+  return operation;
+}
+
+function openApiDocument(req) {
+  const paths = {};
+  apiRoutes.forEach(spec => {
+    const key = spec.path.replace(/:(\w+)/g, '{$1}');
+    paths[key] = paths[key] || {};
+    paths[key][spec.method.toLowerCase()] = openApiOperation(spec);
   });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Self-Curated Registry',
+      version: PACKAGE_VERSION,
+      description: 'No gatekeeping project registry. Projects add themselves, community signals support.'
+    },
+    servers: [{ url: baseUrl(req) }],
+    paths,
+    components: {
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            error: { type: 'string' },
+            errors: {
+              type: 'array',
+              items: { type: 'object', properties: { path: { type: 'string' }, message: { type: 'string' } } }
+            }
+          }
+        }
+      },
+      securitySchemes: {
+        adminKey: { type: 'apiKey', in: 'header', name: 'x-admin-key' }
+      }
+    }
+  };
+}
+
+route('get', '/openapi.json', { group: 'Meta', summary: 'OpenAPI 3 document for this API' }, (req, res) => {
+  res.json(openApiDocument(req));
 });
 
 // Agent endpoint for LLM discovery
-app.get('/agent', (req, res) => {
+route('get', '/agent', {
+  group: 'Meta',
+  summary: 'Agent manifest, generated from the route schemas'
+}, (req, res) => {
   res.json({
     name: 'Self-Curated Registry',
     description: 'No gatekeeping project registry. Projects add themselves, community signals support. Filter by support level, categories, or tags. No approval process - just self-registration and community curation.',
-    network: 'Base (addresses only, no transactions)',
+    network: 'Base (addresses only, no transactions). Standings are committed as Merkle roots: POST /snapshots, then verify GET /snapshots/:id/proof/:projectId with OpenZeppelin MerkleProof',
     treasury_fee: 'None - free to use',
-    endpoints: [
-      { method: 'POST', path: '/projects', description: 'Add project to registry', params: ['name', 'description?', 'url?', 'category?', 'owner', 'logo?', 'tags?'] },
-      { method: 'GET', path: '/projects', description: 'List projects', query: ['category?', 'tag?', 'minSupport?', 'sort?', 'limit?', 'offset?'] },
-      { method: 'GET', path: '/projects/:id', description: 'Get project details with supporters' },
-      { method: 'PUT', path: '/projects/:id', description: 'Update project (owner only)', params: ['owner', 'name?', 'description?', 'url?', 'category?', 'logo?', 'tags?'] },
-      { method: 'DELETE', path: '/projects/:id', description: 'Delete project (owner only)', params: ['owner'] },
-      { method: 'POST', path: '/projects/:id/signal', description: 'Signal support for project', params: ['address', 'amount? (1-100)', 'message?'] },
-      { method: 'DELETE', path: '/projects/:id/signal', description: 'Remove support signal', params: ['address'] },
-      { method: 'GET', path: '/supporters/:address', description: 'Get supporter\'s signaled projects' },
-      { method: 'GET', path: '/categories', description: 'List categories with counts' },
-      { method: 'GET', path: '/tags', description: 'Popular tags' },
-      { method: 'GET', path: '/search', description: 'Search projects', query: ['q', 'limit?'] }
-    ],
+    endpoints: agentEndpoints(),
+    web: ['/', '/browse', '/browse/search', '/browse/projects/:id', '/browse/supporters/:address', '/browse/register'],
+    authentication: 'Mutations are signed (EIP-712 typed data or EIP-191 message) with a nonce from GET /nonce/:address and an expiry',
+    access: Object.fromEntries(ACCESS_GROUPS.map(group => [group, accessPolicies[group]])),
+    rate_limits: Object.fromEntries(Object.entries(rateLimitPolicies).map(([group, { limit, windowMs }]) => [group, limit ? `${limit} per ${windowMs / 1000}s` : 'unlimited'])),
     example_flow: [
-      '1. POST /projects - Add "My DeFi Tool" to registry',
-      '2. POST /projects/:id/signal - Community members signal support',
-      '3. GET /projects?sort=support - Browse by most supported',
-      '4. GET /search?q=defi - Search for DeFi projects'
+      '1. GET /nonce/:address - Get a nonce, sign the request',
+      '2. POST /projects - Add "My DeFi Tool" to registry',
+      '3. POST /projects/:id/signal - Community members signal support',
+      '4. GET /projects?sort=support - Browse by most supported',
+      '5. GET /search?q=defi - Search for DeFi projects'
     ],
     x402_enabled: false
   });
 });
 
-// Frontend
-app.get('/', (req, res) => {
-  const allProjects = Array.from(projects.values());
-  const topProjects = [...allProjects]
-    .sort((a, b) => b.supportCount - a.supportCount)
-    .slice(0, 5);
+// ============================================================================
+// WEB UI
+// ============================================================================
 
-  res.send(`
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Self-Curated Registry | No Gatekeeping</title>
-  <style>
+// Server-rendered pages over the same queries as the JSON API. Anything
+// interpolated into html`` is escaped unless it is itself html`` output or
+// wrapped in raw(). Forms sign with the browser's injected wallet
+// (window.ethereum) and post to the JSON routes.
+
+class SafeHtml {
+  constructor(value) { this.value = value; }
+  toString() { return this.value; }
+}
+
+function raw(value) {
+  return new SafeHtml(String(value ?? ''));
+}
+
+function renderValue(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, str, i) => out + str + (i < values.length ? renderValue(values[i]) : ''), ''));
+}
+
+// JSON for an inline <script>, unable to close the tag early
+function scriptJson(value) {
+  return raw(JSON.stringify(value).replace(/</g, '\\u003c'));
+}
+
+// Only http(s) links make it into href/src - escaping alone lets javascript: through
+function safeUrl(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+function formatDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Build a link to `pathname` with `query`, dropping empty values
+function pageUrl(pathname, query) {
+  const params = new URLSearchParams(Object.entries(query).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+  const qs = params.toString();
+  return qs ? `${pathname}?${qs}` : pathname;
+}
+
+const UI_SORTS = {
+  recent: 'Newest',
+  oldest: 'Oldest',
+  support: 'Most supporters',
+  signal: 'Most signal',
+  quadratic: 'Quadratic score',
+  weighted: 'Weighted support',
+  trending: 'Trending'
+};
+
+const UI_STYLES = `
     * { box-sizing: border-box; margin: 0; padding: 0; }
     body {
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -493,8 +5979,20 @@ app.get('/', (req, res) => {
       color: #e6edf3;
       min-height: 100vh;
     }
+    a { color: #58a6ff; text-decoration: none; }
     .container { max-width: 900px; margin: 0 auto; padding: 2rem; }
-    
+
+    nav {
+      display: flex;
+      gap: 1.5rem;
+      align-items: center;
+      padding: 1rem 2rem;
+      border-bottom: 1px solid #30363d;
+    }
+    nav .brand { font-weight: bold; color: #e6edf3; margin-right: auto; }
+    nav a { color: #8b949e; }
+    nav a.active { color: #a371f7; font-weight: bold; }
+
     .hero {
       text-align: center;
       padding: 4rem 2rem;
@@ -510,7 +6008,8 @@ app.get('/', (req, res) => {
       -webkit-text-fill-color: transparent;
     }
     .hero p { color: #8b949e; max-width: 600px; margin: 0 auto 2rem; }
-    
+    h1.page-title { margin-bottom: 1rem; }
+
     .badge {
       display: inline-block;
       background: #238636;
@@ -520,7 +6019,7 @@ app.get('/', (req, res) => {
       font-size: 0.8rem;
       margin-bottom: 1rem;
     }
-    
+
     .stats {
       display: flex;
       justify-content: center;
@@ -531,15 +6030,18 @@ app.get('/', (req, res) => {
     .stat { text-align: center; }
     .stat-value { font-size: 2rem; font-weight: bold; color: #a371f7; }
     .stat-label { color: #8b949e; font-size: 0.85rem; }
-    
-    .projects {
+
+    .projects, .panel {
       background: rgba(163,113,247,0.1);
       border: 1px solid rgba(163,113,247,0.3);
       border-radius: 12px;
       padding: 2rem;
-      margin-bottom: 3rem;
+      margin-bottom: 2rem;
     }
-    .projects h2 { margin-bottom: 1.5rem; color: #a371f7; }
+    .projects h2, .panel h2 { margin-bottom: 0.5rem; color: #a371f7; }
+    .toggle { margin-bottom: 1rem; font-size: 0.85rem; }
+    .toggle a { color: #8b949e; }
+    .toggle a.active { color: #a371f7; font-weight: bold; }
     .project {
       display: flex;
       align-items: center;
@@ -549,7 +6051,7 @@ app.get('/', (req, res) => {
     }
     .project:last-child { border-bottom: none; }
     .project-rank {
-      width: 30px;
+      min-width: 30px;
       height: 30px;
       background: linear-gradient(135deg, #a371f7, #58a6ff);
       border-radius: 50%;
@@ -561,9 +6063,46 @@ app.get('/', (req, res) => {
     }
     .project-info { flex: 1; }
     .project-name { font-weight: bold; }
-    .project-category { font-size: 0.8rem; color: #8b949e; }
-    .project-support { font-weight: bold; color: #a371f7; }
-    
+    .project-name a { color: #e6edf3; }
+    .project-category, .muted { font-size: 0.8rem; color: #8b949e; }
+    .project-support { font-weight: bold; color: #a371f7; text-align: right; }
+    .tag {
+      display: inline-block;
+      background: #161b22;
+      border: 1px solid #30363d;
+      border-radius: 10px;
+      padding: 0 0.5rem;
+      margin-right: 0.25rem;
+      font-size: 0.75rem;
+    }
+    mark { background: rgba(163,113,247,0.4); color: inherit; }
+    .verified { color: #3fb950; font-size: 0.75rem; font-weight: normal; }
+
+    form.filters {
+      display: flex;
+      gap: 0.75rem;
+      flex-wrap: wrap;
+      align-items: flex-end;
+      margin-bottom: 1.5rem;
+    }
+    label { display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.8rem; color: #8b949e; }
+    input, select, textarea, button {
+      background: #161b22;
+      color: #e6edf3;
+      border: 1px solid #30363d;
+      border-radius: 6px;
+      padding: 0.5rem;
+      font: inherit;
+    }
+    button { background: #a371f7; border-color: #a371f7; color: #0d1117; font-weight: bold; cursor: pointer; }
+    form.stacked { display: flex; flex-direction: column; gap: 1rem; }
+    .form-status { font-size: 0.85rem; color: #8b949e; min-height: 1.2em; }
+    .form-status.error { color: #f85149; }
+    .pager { display: flex; justify-content: space-between; margin-top: 1rem; }
+    .facts { display: grid; grid-template-columns: max-content 1fr; gap: 0.5rem 1rem; margin-top: 1rem; }
+    .facts dt { color: #8b949e; }
+    .logo { width: 64px; height: 64px; border-radius: 12px; float: right; }
+
     .api-section {
       background: #161b22;
       border: 1px solid #30363d;
@@ -584,52 +6123,111 @@ app.get('/', (req, res) => {
     .method.post { color: #3fb950; }
     .method.put { color: #f0883e; }
     .method.delete { color: #f85149; }
-    
+
     footer {
       text-align: center;
       padding: 2rem;
       color: #8b949e;
       border-top: 1px solid #30363d;
-    }
-    footer a { color: #58a6ff; text-decoration: none; }
+    }`;
+
+const UI_NAV = [
+  { href: '/', label: 'Home' },
+  { href: '/browse', label: 'Browse' },
+  { href: '/browse/search', label: 'Search' },
+  { href: '/browse/register', label: 'Add project' }
+];
+
+/**
+ * Full page around `body`. `wallet: true` loads the signing script for forms.
+ */
+function renderPage({ title, active, body, wallet = false, script = null }) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title} | Self-Curated Registry</title>
+  <style>${raw(UI_STYLES)}
   </style>
 </head>
 <body>
+  <nav>
+    <a class="brand" href="/">📝 Self-Curated Registry</a>
+    ${UI_NAV.map(item => html`<a href="${item.href}"${item.href === active ? raw(' class="active"') : ''}>${item.label}</a>`)}
+  </nav>
   <div class="container">
+    ${body}
+  </div>
+
+  <footer>
+    <p>No fees, no gatekeeping - just community curation 🌱 · <a href="/agent">API</a></p>
+  </footer>
+  ${wallet ? html`<script src="/browse/assets/ethers.js"></script>
+  <script src="/browse/assets/wallet.js"></script>` : ''}
+  ${script ? html`<script>${script}</script>` : ''}
+</body>
+</html>`.toString();
+}
+
+function renderProjectRow(p, rank, extra = null) {
+  return html`
+        <div class="project">
+          <div class="project-rank">${rank}</div>
+          <div class="project-info">
+            <div class="project-name"><a href="/browse/projects/${encodeURIComponent(p.id)}">${p.highlights ? raw(p.highlights.name) : p.name}</a>${p.verified ? html` <span class="verified" title="Domain verified">✓ verified</span>` : ''}</div>
+            <div class="project-category">
+              <a href="${pageUrl('/browse', { category: p.category })}">${p.category}</a>
+              ${p.tags.map(t => html` <a class="tag" href="${pageUrl('/browse', { tag: t })}">${t}</a>`)}
+            </div>
+            ${extra}
+          </div>
+          <div class="project-support">${p.supportCount} supporters<br><span class="muted">${p.totalSignal} signal</span></div>
+        </div>`;
+}
+
+function renderSelect(name, options, selected) {
+  return html`<select name="${name}">
+          ${options.map(([value, label]) => html`<option value="${value}"${value === selected ? raw(' selected') : ''}>${label}</option>`)}
+        </select>`;
+}
+
+// Home
+app.get('/', (req, res) => {
+  const allProjects = Array.from(projects.values()).filter(isListed);
+  const trending = req.query.sort === 'trending';
+  const topProjects = queryProjects({ sort: trending ? 'trending' : 'support' }).slice(0, 5);
+
+  const body = html`
     <div class="hero">
       <div class="badge">📋 OPEN REGISTRY</div>
       <h1>📝 Self-Curated Registry</h1>
       <p>No gatekeeping. Projects add themselves. Community signals support. Filter by what matters.</p>
-      
+
       <div class="stats">
         <div class="stat">
-          <div class="stat-value">${allProjects.length}</div>
+          <div class="stat-value" id="stat-projects">${allProjects.length}</div>
           <div class="stat-label">Projects</div>
         </div>
         <div class="stat">
-          <div class="stat-value">${signals.size}</div>
+          <div class="stat-value" id="stat-signals">${signals.size}</div>
           <div class="stat-label">Signals</div>
         </div>
         <div class="stat">
-          <div class="stat-value">${new Set(Array.from(signals.values()).map(s => s.address)).size}</div>
+          <div class="stat-value" id="stat-supporters">${new Set(Array.from(signals.values()).map(s => s.address)).size}</div>
           <div class="stat-label">Supporters</div>
         </div>
       </div>
     </div>
 
     <div class="projects">
-      <h2>🔥 Top Supported Projects</h2>
-      ${topProjects.length === 0 ? '<p style="color:#8b949e">No projects yet. Add yours!</p>' : 
-        topProjects.map((p, i) => `
-        <div class="project">
-          <div class="project-rank">${i + 1}</div>
-          <div class="project-info">
-            <div class="project-name">${p.name}</div>
-            <div class="project-category">${p.category}</div>
-          </div>
-          <div class="project-support">${p.supportCount} supporters</div>
-        </div>
-      `).join('')}
+      <h2>${trending ? '📈 Trending Projects' : '🔥 Top Supported Projects'}</h2>
+      <p class="toggle"><a href="/"${trending ? '' : raw(' class="active"')}>Most supported</a> · <a href="/?sort=trending"${trending ? raw(' class="active"') : ''}>Trending</a> · <a href="${pageUrl('/browse', { sort: trending ? 'trending' : 'support' })}">See all →</a></p>
+      <div id="top-projects">
+      ${topProjects.length === 0
+        ? html`<p class="muted">No projects yet. <a href="/browse/register">Add yours!</a></p>`
+        : topProjects.map((p, i) => renderProjectRow(p, i + 1))}
+      </div>
     </div>
 
     <div class="api-section">
@@ -641,17 +6239,376 @@ app.get('/', (req, res) => {
       <div class="endpoint"><span class="method post">POST</span><span>/projects/:id/signal</span><span style="margin-left:auto;color:#8b949e">Signal support</span></div>
       <div class="endpoint"><span class="method get">GET</span><span>/categories</span><span style="margin-left:auto;color:#8b949e">List categories</span></div>
       <div class="endpoint"><span class="method get">GET</span><span>/search?q=</span><span style="margin-left:auto;color:#8b949e">Search</span></div>
+      <div class="endpoint"><span class="method get">GET</span><span>/agent</span><span style="margin-left:auto;color:#8b949e">Full endpoint list</span></div>
+    </div>`;
+
+  // Live updates: refresh counters and the top list whenever the registry changes
+  const script = html`
+    (function () {
+      if (!window.EventSource) return;
+      var sort = ${scriptJson(trending ? 'trending' : 'support')};
+      var pending = null;
+
+      function el(tag, className, text) {
+        var node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+      }
+
+      function renderTop(list) {
+        var container = document.getElementById('top-projects');
+        container.innerHTML = '';
+        if (list.length === 0) {
+          container.appendChild(el('p', 'muted', 'No projects yet. Add yours!'));
+          return;
+        }
+        list.forEach(function (p, i) {
+          var row = el('div', 'project');
+          var info = el('div', 'project-info');
+          var name = el('div', 'project-name');
+          var link = el('a', null, p.name);
+          link.href = '/browse/projects/' + encodeURIComponent(p.id);
+          name.appendChild(link);
+          if (p.verified) {
+            var badge = el('span', 'verified', '✓ verified');
+            badge.title = 'Domain verified';
+            name.appendChild(document.createTextNode(' '));
+            name.appendChild(badge);
+          }
+          info.appendChild(name);
+          info.appendChild(el('div', 'project-category', p.category));
+          row.appendChild(el('div', 'project-rank', String(i + 1)));
+          row.appendChild(info);
+          row.appendChild(el('div', 'project-support', p.supportCount + ' supporters'));
+          container.appendChild(row);
+        });
+      }
+
+      function refresh() {
+        pending = null;
+        Promise.all([
+          fetch('/stats/timeseries?days=1&weeks=1').then(function (r) { return r.json(); }),
+          fetch('/projects?limit=5&sort=' + sort).then(function (r) { return r.json(); })
+        ]).then(function (results) {
+          var current = results[0].current;
+          document.getElementById('stat-projects').textContent = current.listedProjects;
+          document.getElementById('stat-signals').textContent = current.signals;
+          document.getElementById('stat-supporters').textContent = current.supporters;
+          renderTop(results[1].projects);
+        }).catch(function () {});
+      }
+
+      var source = new EventSource('/events');
+      ${scriptJson(REGISTRY_EVENTS)}.forEach(function (type) {
+        source.addEventListener(type, function () {
+          // Coalesce bursts of events into one refresh
+          if (!pending) pending = setTimeout(refresh, 250);
+        });
+      });
+    })();`;
+
+  res.send(renderPage({ title: 'No Gatekeeping', active: '/', body, script }));
+});
+
+// Browse with the same filters and sorts as GET /projects
+app.get('/browse', (req, res) => {
+  const { category, tag, minSupport } = req.query;
+  const sort = Object.hasOwn(UI_SORTS, req.query.sort) ? req.query.sort : 'recent';
+  const verified = req.query.verified === 'true' ? 'true' : undefined;
+  const offset = Math.max(0, parseInt(req.query.offset) || 0);
+  const limit = 20;
+
+  const results = queryProjects({ category, tag, minSupport, sort, verified });
+  const page = results.slice(offset, offset + limit);
+  const query = { category, tag, minSupport, sort, verified };
+
+  const body = html`
+    <h1 class="page-title">Browse projects</h1>
+    <form class="filters" method="get" action="/browse">
+      <label>Category
+        ${renderSelect('category', [['', 'All'], ...Array.from(categories).map(c => [c, c])], category || '')}
+      </label>
+      <label>Tag <input name="tag" value="${tag || ''}" placeholder="e.g. ethereum"></label>
+      <label>Min supporters <input name="minSupport" type="number" min="0" value="${minSupport || ''}"></label>
+      <label>Sort
+        ${renderSelect('sort', Object.entries(UI_SORTS), sort)}
+      </label>
+      <label><input name="verified" type="checkbox" value="true"${verified ? raw(' checked') : ''}> Verified only</label>
+      <button type="submit">Apply</button>
+    </form>
+
+    <div class="projects">
+      <p class="muted">${results.length} project${results.length === 1 ? '' : 's'}</p>
+      ${page.length === 0
+        ? html`<p class="muted">Nothing matches these filters.</p>`
+        : page.map((p, i) => renderProjectRow(p, offset + i + 1))}
+      <div class="pager">
+        <span>${offset > 0 ? html`<a href="${pageUrl('/browse', { ...query, offset: Math.max(0, offset - limit) })}">← Previous</a>` : ''}</span>
+        <span>${offset + limit < results.length ? html`<a href="${pageUrl('/browse', { ...query, offset: offset + limit })}">Next →</a>` : ''}</span>
+      </div>
+    </div>`;
+
+  res.send(renderPage({ title: 'Browse', active: '/browse', body }));
+});
+
+// Search page backed by the same ranking as GET /search
+app.get('/browse/search', (req, res) => {
+  const { q, category, tag, minSupport } = req.query;
+  const query = typeof q === 'string' ? q.trim() : '';
+  const results = query.length >= 2
+    ? rankSearchResults({ q: query, category, tag, minSupport }).slice(0, 50)
+    : null;
+
+  const body = html`
+    <h1 class="page-title">Search</h1>
+    <form class="filters" method="get" action="/browse/search">
+      <label>Query <input name="q" value="${query}" placeholder="name, tag, url or description" autofocus></label>
+      <label>Category
+        ${renderSelect('category', [['', 'All'], ...Array.from(categories).map(c => [c, c])], category || '')}
+      </label>
+      <label>Tag <input name="tag" value="${tag || ''}"></label>
+      <label>Min supporters <input name="minSupport" type="number" min="0" value="${minSupport || ''}"></label>
+      <button type="submit">Search</button>
+    </form>
+
+    ${results === null
+      ? (query ? html`<p class="muted">Type at least 2 characters.</p>` : '')
+      : html`
+    <div class="projects">
+      <p class="muted">${results.length} result${results.length === 1 ? '' : 's'} for “${query}”</p>
+      ${results.length === 0
+        ? html`<p class="muted">No matches.</p>`
+        : results.map((p, i) => renderProjectRow(p, i + 1, html`<div class="muted">${raw(p.highlights.description)}</div>`))}
+    </div>`}`;
+
+  res.send(renderPage({ title: query ? `Search: ${query}` : 'Search', active: '/browse/search', body }));
+});
+
+// Project detail: facts, supporters with their messages, and a signal form
+app.get('/browse/projects/:id', (req, res) => {
+  const stored = projects.get(req.params.id);
+  if (!stored || !isListed(stored)) {
+    return res.status(404).send(renderPage({
+      title: 'Not found',
+      body: html`<h1 class="page-title">Project not found</h1><p><a href="/browse">Back to browse</a></p>`
+    }));
+  }
+
+  const project = withWeightedSupport(stored);
+  const supporters = Array.from(signals.values())
+    .filter(s => s.projectId === project.id)
+    .sort((a, b) => b.amount - a.amount || a.createdAt - b.createdAt);
+  const url = safeUrl(project.url);
+  const logo = safeUrl(project.logo);
+  const included = collectionsIncluding(project.id);
+
+  const body = html`
+    <div class="panel">
+      ${logo ? html`<img class="logo" src="${logo}" alt="">` : ''}
+      <h1 class="page-title">${project.name}${project.verified ? html` <span class="verified">✓ verified</span>` : ''}</h1>
+      <p>${project.description}</p>
+      <dl class="facts">
+        <dt>Category</dt><dd><a href="${pageUrl('/browse', { category: project.category })}">${project.category}</a></dd>
+        <dt>Tags</dt><dd>${project.tags.length ? project.tags.map(t => html`<a class="tag" href="${pageUrl('/browse', { tag: t })}">${t}</a>`) : html`<span class="muted">none</span>`}</dd>
+        ${url ? html`<dt>Website</dt><dd><a href="${url}" rel="nofollow noopener" target="_blank">${url}</a></dd>` : ''}
+        ${project.linkedAccounts.github ? html`<dt>GitHub</dt><dd><a href="https://github.com/${project.linkedAccounts.github}" rel="nofollow noopener" target="_blank">${project.linkedAccounts.github}</a> <span class="verified">✓</span></dd>` : ''}
+        <dt>Maintainers</dt><dd>${project.maintainers.map(m => html`<a href="/browse/supporters/${m.address}">${shortAddress(m.address)}</a> <span class="muted">(${m.role})</span> `)}</dd>
+        <dt>Supporters</dt><dd>${project.supportCount} (weighted ${project.weightedSupport}, confidence ${project.supportConfidence})</dd>
+        <dt>Total signal</dt><dd>${project.totalSignal}${SIGNAL_MODE === 'quadratic' ? html` · quadratic score ${project.quadraticScore}` : ''}</dd>
+        <dt>Listed</dt><dd>${formatDate(project.createdAt)}${project.revision > 1 ? html` · revision ${project.revision}, updated ${formatDate(project.updatedAt)}` : ''}</dd>
+        ${included.length ? html`<dt>In collections</dt><dd>${included.map(c => html`<span class="tag">${c.name}</span>`)}</dd>` : ''}
+      </dl>
     </div>
-  </div>
 
-  <footer>
-    <p>No fees, no gatekeeping - just community curation 🌱</p>
-  </footer>
-</body>
-</html>
-  `);
+    <div class="panel">
+      <h2>Signal support</h2>
+      <form class="stacked" data-registry-action="signal.add" data-target="${project.id}">
+        <label>Amount <input name="amount" type="number" min="1" max="100" value="1"></label>
+        <label>Message (optional) <input name="message" maxlength="280"></label>
+        <button type="submit">Sign with wallet &amp; signal</button>
+        <div class="form-status"></div>
+      </form>
+    </div>
+
+    <div class="projects">
+      <h2>Supporters</h2>
+      ${supporters.length === 0
+        ? html`<p class="muted">No supporters yet - be the first.</p>`
+        : supporters.map((s, i) => html`
+        <div class="project">
+          <div class="project-rank">${i + 1}</div>
+          <div class="project-info">
+            <div class="project-name"><a href="/browse/supporters/${s.address}">${shortAddress(s.address)}</a></div>
+            ${s.message ? html`<div>${s.message}</div>` : ''}
+            <div class="muted">since ${formatDate(s.createdAt)}</div>
+          </div>
+          <div class="project-support">${s.amount}</div>
+        </div>`)}
+    </div>`;
+
+  res.send(renderPage({ title: project.name, active: '/browse', body, wallet: true }));
+});
+
+// Supporter profile: everything an address backs
+app.get('/browse/supporters/:address', (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).send(renderPage({
+      title: 'Invalid address',
+      body: html`<h1 class="page-title">Invalid address</h1><p><a href="/browse">Back to browse</a></p>`
+    }));
+  }
+
+  const addr = req.params.address.toLowerCase();
+  const backed = Array.from(signals.values())
+    .filter(s => s.address === addr)
+    .map(s => ({ signal: s, project: projects.get(s.projectId) }))
+    .filter(({ project }) => project && isListed(project))
+    .sort((a, b) => b.signal.amount - a.signal.amount);
+  const maintained = Array.from(projects.values())
+    .filter(p => isListed(p) && maintainerRole(p, addr));
+  const credits = voiceCredits(addr);
+  const reputation = reputationOf(addr);
+
+  const body = html`
+    <div class="panel">
+      <h1 class="page-title">${shortAddress(addr)}</h1>
+      <p class="muted">${addr}</p>
+      <dl class="facts">
+        <dt>Projects backed</dt><dd>${backed.length}</dd>
+        <dt>Total signal</dt><dd>${backed.reduce((sum, { signal }) => sum + signal.amount, 0)}</dd>
+        <dt>Support weight</dt><dd>${reputation ? reputation.weight : 0}</dd>
+        ${credits.mode === 'quadratic' ? html`<dt>Voice credits</dt><dd>${credits.remaining} of ${credits.budget} left this epoch</dd>` : ''}
+        ${maintained.length ? html`<dt>Maintains</dt><dd>${maintained.map(p => html`<a class="tag" href="/browse/projects/${encodeURIComponent(p.id)}">${p.name}</a>`)}</dd>` : ''}
+      </dl>
+    </div>
+
+    <div class="projects">
+      <h2>Backing</h2>
+      ${backed.length === 0
+        ? html`<p class="muted">This address hasn't signalled any listed project.</p>`
+        : backed.map(({ signal, project }, i) => renderProjectRow(project, i + 1, html`
+            <div class="muted">Signalled ${signal.amount} · since ${formatDate(signal.createdAt)}${signal.revision !== project.revision ? ' · project changed since' : ''}</div>
+            ${signal.message ? html`<div>${signal.message}</div>` : ''}`))}
+    </div>`;
+
+  res.send(renderPage({ title: shortAddress(addr), active: '/browse', body }));
+});
+
+// Registration form; the connected wallet becomes the owner
+app.get('/browse/register', (req, res) => {
+  const body = html`
+    <div class="panel">
+      <h1 class="page-title">Add a project</h1>
+      <p class="muted">Registration is signed by your wallet, which becomes the project owner.</p>
+      <form class="stacked" data-registry-action="project.create" data-target="">
+        <label>Name <input name="name" required maxlength="100"></label>
+        <label>Description <textarea name="description" rows="3" maxlength="1000"></textarea></label>
+        <label>Website <input name="url" type="url" placeholder="https://"></label>
+        <label>Logo URL <input name="logo" type="url" placeholder="https://"></label>
+        <label>Category
+          ${renderSelect('category', Array.from(categories).map(c => [c, c]), 'other')}
+        </label>
+        <label>Tags (comma separated) <input name="tags" placeholder="ethereum, open-source"></label>
+        <button type="submit">Sign with wallet &amp; register</button>
+        <div class="form-status"></div>
+      </form>
+    </div>`;
+
+  res.send(renderPage({ title: 'Add a project', active: '/browse/register', body, wallet: true }));
+});
+
+// Browser build of the ethers dependency, for signing in the page
+const ETHERS_BROWSER_BUNDLE = path.join(path.dirname(require.resolve('ethers')), '..', 'dist', 'ethers.umd.min.js');
+app.get('/browse/assets/ethers.js', (req, res) => {
+  res.type('application/javascript').sendFile(ETHERS_BROWSER_BUNDLE, { maxAge: '1d' });
+});
+
+// Signs form submissions exactly like an API client would: nonce, EIP-712
+// RegistryAction over the canonical body (EIP-191 message when the wallet is
+// on another chain than the domain's), then POST to the JSON route
+const WALLET_SCRIPT = `(function () {
+  ${canonicalJson.toString()}
+  ${personalMessage.toString()}
+
+  var builders = {
+    'project.create': function (data, address) {
+      var body = { name: data.name, description: data.description, category: data.category, owner: address };
+      if (data.url) body.url = data.url;
+      if (data.logo) body.logo = data.logo;
+      var tags = data.tags.split(',').map(function (t) { return t.trim(); }).filter(Boolean);
+      if (tags.length) body.tags = tags;
+      return { path: '/projects', body: body };
+    },
+    'signal.add': function (data, address, target) {
+      var body = { address: address, amount: parseInt(data.amount, 10) || 1 };
+      if (data.message) body.message = data.message;
+      return { path: '/projects/' + encodeURIComponent(target) + '/signal', body: body };
+    }
+  };
+
+  async function submit(form) {
+    if (!window.ethereum) throw new Error('No wallet found - install a browser wallet to sign');
+    var provider = new ethers.BrowserProvider(window.ethereum);
+    var signer = await provider.getSigner();
+    var address = (await signer.getAddress()).toLowerCase();
+    var action = form.dataset.registryAction;
+    var target = form.dataset.target;
+    var request = builders[action](Object.fromEntries(new FormData(form)), address, target);
+
+    var issued = await fetch('/nonce/' + address).then(function (r) { return r.json(); });
+    var expiry = Math.floor(Date.now() / 1000) + 600;
+    var value = {
+      action: action,
+      target: target,
+      payloadHash: ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(request.body))),
+      nonce: issued.nonce,
+      expiry: expiry
+    };
+    var network = await provider.getNetwork();
+    var signatureType = Number(network.chainId) === Number(issued.eip712.domain.chainId) ? 'eip712' : 'eip191';
+    var signature = signatureType === 'eip712'
+      ? await signer.signTypedData(issued.eip712.domain, issued.eip712.types, value)
+      : await signer.signMessage(personalMessage(value));
+
+    var res = await fetch(request.path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(Object.assign({}, request.body, { signature: signature, signatureType: signatureType, nonce: issued.nonce, expiry: expiry }))
+    });
+    var result = await res.json();
+    if (!res.ok) throw new Error(result.error || 'Request failed (' + res.status + ')');
+    return result;
+  }
+
+  document.querySelectorAll('form[data-registry-action]').forEach(function (form) {
+    var status = form.querySelector('.form-status');
+    form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      status.className = 'form-status';
+      status.textContent = 'Waiting for wallet…';
+      var action = form.dataset.registryAction;
+      var target = form.dataset.target;
+      submit(form).then(function (result) {
+        var id = action === 'project.create' ? result.id : target;
+        status.textContent = 'Done - reloading…';
+        window.location.href = '/browse/projects/' + encodeURIComponent(id);
+      }).catch(function (err) {
+        status.className = 'form-status error';
+        status.textContent = err.message;
+      });
+    });
+  });
+})();
+`;
+
+app.get('/browse/assets/wallet.js', (req, res) => {
+  res.type('application/javascript').send(WALLET_SCRIPT);
 });
 
-const PORT = process.env.PORT || 3013;
-app.listen(PORT, () => console.log(`Self-Curated Registry running on :${PORT}`));
+// Listen when run directly; tests and serverless hosts mount the exported app
+if (require.main === module) {
+  const PORT = process.env.PORT || 3013;
+  app.listen(PORT, () => console.log(`Self-Curated Registry running on :${PORT}`));
+}
 module.exports = app;
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { wallets, startServer } = require('./helpers');
+
+// A local server standing in for webhook receivers and verification hosts. With
+// the private-address guards on (the default) nothing should ever reach it.
+let api;
+let stub;
+let stubPort;
+const reached = [];
+
+before(async () => {
+  stub = http.createServer((req, res) => {
+    reached.push(req.url);
+    res.end('registry-verification=anything');
+  });
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  stubPort = stub.address().port;
+  api = await startServer({
+    VERIFICATION_DOMAIN_URL: `http://localhost:${stubPort}/{domain}`,
+    VERIFICATION_GITHUB_URL: `http://127.0.0.1:${stubPort}/gh/{repo}/HEAD`
+  });
+});
+
+after(async () => {
+  await api.close();
+  await new Promise(resolve => stub.close(resolve));
+});
+
+test('refuses webhook urls on loopback, private and link-local hosts', async () => {
+  const urls = [
+    `http://127.0.0.1:${stubPort}/hook`,
+    `http://localhost:${stubPort}/hook`,
+    `http://[::1]:${stubPort}/hook`,
+    'http://10.0.0.1/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::ffff:127.0.0.1]/hook'
+  ];
+  for (const url of urls) {
+    const res = await api.signed('POST', '/webhooks', wallets[0], 'webhook.create', '', { owner: wallets[0].address, url });
+    assert.equal(res.status, 400, url);
+    assert.match(res.body.error, /^Webhook url rejected: .*non-public address/, url);
+  }
+  assert.deepEqual(reached, []);
+});
+
+test('refuses to fetch verification files from private hosts', async () => {
+  const owner = wallets[1];
+  const project = (await api.signed('POST', '/projects', owner, 'project.create', '',
+    { name: 'Verify me', owner: owner.address, url: 'https://verify-me.example' })).body;
+
+  for (const [method, extra] of [['domain', {}], ['github', { repo: 'acme/verify-me' }]]) {
+    const issued = await api.signed('POST', `/projects/${project.id}/verification`, owner, 'project.verify', project.id,
+      { owner: owner.address, method, ...extra });
+    assert.equal(issued.status, 201);
+  }
+
+  const res = await api.call('POST', `/projects/${project.id}/verification/check`, {});
+  assert.equal(res.status, 200);
+  assert.equal(res.body.verified, false);
+  for (const record of res.body.verifications) {
+    assert.equal(record.status, 'pending', record.method);
+    assert.match(record.lastError, /non-public address/, record.method);
+  }
+  assert.deepEqual(reached, []);
+});
@@ -0,0 +1,87 @@
+// Shared by the test files: each runs in its own process, so set any env a
+// file needs before calling startServer (server.js reads it at require time)
+const http = require('http');
+const { ethers } = require('ethers');
+
+const wallets = Array.from({ length: 4 }, (_, i) => new ethers.Wallet(ethers.keccak256(ethers.toUtf8Bytes(`test-wallet-${i}`))));
+const ADMIN_KEY = 'test-admin-key';
+
+// Deterministic JSON, as clients hash request bodies
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+async function startServer(env = {}) {
+  Object.assign(process.env, { STORAGE_ADAPTER: 'memory', ACCESS_PROVIDER: 'open', ADMIN_KEY, ...env });
+  const app = require('../server');
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function call(method, path, body, headers = {}) {
+    const res = await fetch(base + path, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (err) {
+      json = text;
+    }
+    return { status: res.status, body: json, headers: res.headers };
+  }
+
+  // Sign `body` for `action` the way a client would; GET carries the fields in the query
+  async function signed(method, path, wallet, action, target, body, { signatureType = 'eip191', tamper } = {}) {
+    const issued = (await call('GET', `/nonce/${wallet.address}`)).body;
+    const value = {
+      action,
+      target,
+      payloadHash: ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(body))),
+      nonce: issued.nonce,
+      expiry: Math.floor(Date.now() / 1000) + 600
+    };
+    const signature = signatureType === 'eip712'
+      ? await wallet.signTypedData(issued.eip712.domain, issued.eip712.types, value)
+      : await wallet.signMessage([
+        'Self-Curated Registry',
+        `Action: ${value.action}`,
+        `Target: ${value.target}`,
+        `Payload: ${value.payloadHash}`,
+        `Nonce: ${value.nonce}`,
+        `Expiry: ${value.expiry}`
+      ].join('\n'));
+
+    const fields = { ...body, ...tamper, signature, signatureType, nonce: value.nonce, expiry: value.expiry };
+    const res = method === 'GET'
+      ? await call('GET', `${path}?${new URLSearchParams(fields)}`)
+      : await call(method, path, fields);
+    // What went over the wire, for replaying it
+    return { ...res, sent: fields };
+  }
+
+  return { base, call, signed, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// Resolve once `check()` returns something truthy, polling every 20ms
+async function waitFor(check, timeoutMs = 3000) {
+  const started = Date.now();
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+module.exports = { wallets, ADMIN_KEY, canonicalJson, startServer, waitFor };
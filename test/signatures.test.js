@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { wallets, canonicalJson, startServer } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(async () => {
+  await api.close();
+});
+
+// Request fields signed by `signer` with a nonce issued to `nonceOwner`
+async function signBy(signer, nonceOwner, action, target, body) {
+  const issued = (await api.call('GET', `/nonce/${nonceOwner.address}`)).body;
+  const value = {
+    action,
+    target,
+    payloadHash: ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(body))),
+    nonce: issued.nonce,
+    expiry: Math.floor(Date.now() / 1000) + 600
+  };
+  const signature = await signer.signTypedData(issued.eip712.domain, issued.eip712.types, value);
+  return { ...body, signature, signatureType: 'eip712', nonce: value.nonce, expiry: value.expiry };
+}
+
+function createProject(wallet, name, options) {
+  return api.signed('POST', '/projects', wallet, 'project.create', '', { name, owner: wallet.address }, options);
+}
+
+test('accepts EIP-191 and EIP-712 signatures', async () => {
+  const personal = await createProject(wallets[0], 'Signed personal message');
+  assert.equal(personal.status, 201);
+  assert.equal(personal.body.owner, wallets[0].address.toLowerCase());
+
+  const typed = await createProject(wallets[0], 'Signed typed data', { signatureType: 'eip712' });
+  assert.equal(typed.status, 201);
+});
+
+test('rejects unsigned requests', async () => {
+  const res = await api.call('POST', '/projects', { name: 'Unsigned', owner: wallets[0].address });
+  assert.equal(res.status, 401);
+  assert.match(res.body.error, /signature, nonce and expiry required/);
+});
+
+test('rejects a signature from someone other than the named address', async () => {
+  const project = (await createProject(wallets[0], 'Owned by wallet 0')).body;
+  // Wallet 1 signs a request that claims to come from wallet 0
+  const body = { name: 'Taken over', owner: wallets[0].address };
+  const fields = await signBy(wallets[1], wallets[0], 'project.update', project.id, body);
+
+  const res = await api.call('PUT', `/projects/${project.id}`, fields);
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, 'Invalid signature');
+  assert.equal((await api.call('GET', `/projects/${project.id}`)).body.name, 'Owned by wallet 0');
+});
+
+test('rejects a body changed after signing', async () => {
+  const res = await createProject(wallets[0], 'What was signed', { tamper: { name: 'What was sent' } });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, 'Invalid signature');
+});
+
+test('rejects a signature for another action or target', async () => {
+  const project = (await createProject(wallets[0], 'Target of an update')).body;
+  const other = (await createProject(wallets[0], 'Some other project')).body;
+
+  const wrongAction = await api.signed('PUT', `/projects/${project.id}`, wallets[0], 'project.delete', project.id,
+    { name: 'Renamed', owner: wallets[0].address });
+  assert.equal(wrongAction.status, 401);
+
+  const wrongTarget = await api.signed('PUT', `/projects/${project.id}`, wallets[0], 'project.update', other.id,
+    { name: 'Renamed', owner: wallets[0].address });
+  assert.equal(wrongTarget.status, 401);
+});
+
+test('burns the nonce so a signed request cannot be replayed', async () => {
+  const first = await createProject(wallets[2], 'Replayed once');
+  assert.equal(first.status, 201);
+
+  const replay = await api.call('POST', '/projects', first.sent);
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.error, 'Invalid or expired nonce');
+});
+
+test('rejects a nonce issued to a different address', async () => {
+  const body = { name: 'Borrowed nonce', owner: wallets[0].address };
+  const fields = await signBy(wallets[0], wallets[1], 'project.create', '', body);
+
+  const res = await api.call('POST', '/projects', fields);
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, 'Invalid or expired nonce');
+});
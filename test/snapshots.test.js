@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { wallets, ADMIN_KEY, startServer } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(async () => {
+  await api.close();
+});
+
+// OpenZeppelin StandardMerkleTree leaf, computed independently of the server
+function expectedLeaf({ projectId, owner, supportCount, totalSignal }) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder()
+    .encode(['string', 'address', 'uint256', 'uint256'], [projectId, owner, supportCount, totalSignal]);
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+// MerkleProof.verify: fold the proof into the leaf, hashing each pair sorted
+function proofRoot(leaf, proof) {
+  return proof.reduce((node, sibling) =>
+    ethers.keccak256(ethers.concat(node < sibling ? [node, sibling] : [sibling, node])), leaf);
+}
+
+async function createProject(wallet, name) {
+  const res = await api.signed('POST', '/projects', wallet, 'project.create', '', { name, owner: wallet.address, category: 'tooling' });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+async function signal(wallet, project, amount) {
+  const res = await api.signed('POST', `/projects/${project.id}/signal`, wallet, 'signal.add', project.id, { address: wallet.address, amount });
+  assert.ok(res.status < 300, res.body.error);
+}
+
+test('commits each listed project as an abi-encoded leaf with proofs that verify', async () => {
+  const projects = [];
+  for (let i = 0; i < 3; i++) projects.push(await createProject(wallets[i], `Snapshot project ${i}`));
+  await signal(wallets[1], projects[0], 7);
+  await signal(wallets[2], projects[0], 3);
+  await signal(wallets[0], projects[2], 1);
+  // Delegated weight is fractional; it must stay out of the committed totals
+  const delegation = await api.signed('POST', '/delegations', wallets[3], 'delegation.create', '',
+    { delegator: wallets[3].address, delegate: wallets[1].address });
+  assert.equal(delegation.status, 201);
+
+  const snapshot = await api.call('POST', '/snapshots', { note: 'test' }, { 'x-admin-key': ADMIN_KEY });
+  assert.equal(snapshot.status, 201);
+  assert.equal(snapshot.body.projectCount, 3);
+
+  for (const project of projects) {
+    const { status, body } = await api.call('GET', `/snapshots/${snapshot.body.id}/proof/${project.id}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.types, ['string', 'address', 'uint256', 'uint256']);
+    assert.equal(body.values.owner, ethers.getAddress(project.owner));
+    assert.ok(Number.isInteger(body.values.totalSignal));
+    assert.equal(body.leaf, expectedLeaf(body.values));
+    assert.equal(proofRoot(body.leaf, body.proof), snapshot.body.root);
+    assert.equal(body.valid, true);
+  }
+
+  const first = (await api.call('GET', `/snapshots/${snapshot.body.id}/proof/${projects[0].id}`)).body;
+  assert.equal(first.values.supportCount, 2);
+  assert.equal(first.values.totalSignal, 10);
+});
+
+test('requires the admin key to take a snapshot', async () => {
+  const res = await api.call('POST', '/snapshots', {});
+  assert.equal(res.status, 401);
+});
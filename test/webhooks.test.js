@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { wallets, ADMIN_KEY, startServer, waitFor } = require('./helpers');
+
+// Deliveries go to a local receiver, which the private-address guard allows only with this
+const env = { WEBHOOK_ALLOW_PRIVATE: 'true', WEBHOOK_RETRY_BASE_MS: '50', WEBHOOK_MAX_PER_OWNER: '3' };
+
+let api;
+let receiver;
+let receiverUrl;
+const received = [];
+let flakyFailuresLeft = 0;  // 500s the /flaky path answers before it succeeds
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      if (req.url === '/flaky' && flakyFailuresLeft > 0) {
+        flakyFailuresLeft--;
+        res.writeHead(500).end();
+      } else {
+        res.writeHead(204).end();
+      }
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+  api = await startServer(env);
+});
+
+after(async () => {
+  await api.close();
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+async function subscribe(wallet, path, extra = {}) {
+  return api.signed('POST', '/webhooks', wallet, 'webhook.create', '', { owner: wallet.address, url: receiverUrl + path, ...extra });
+}
+
+async function createProject(wallet, name) {
+  const res = await api.signed('POST', '/projects', wallet, 'project.create', '', { name, owner: wallet.address, category: 'tooling' });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+test('delivers HMAC-signed events to the receiver', async () => {
+  const hook = (await subscribe(wallets[0], '/signed', { events: 'project.created' })).body;
+  assert.match(hook.secret, /^[0-9a-f]{64}$/);
+
+  const project = await createProject(wallets[0], 'Webhook delivery target');
+  const delivery = await waitFor(() => received.find(r => r.path === '/signed'));
+
+  assert.equal(delivery.headers['x-registry-event'], 'project.created');
+  const timestamp = delivery.headers['x-registry-timestamp'];
+  const expected = 'sha256=' + crypto.createHmac('sha256', hook.secret).update(`${timestamp}.${delivery.body}`).digest('hex');
+  assert.equal(delivery.headers['x-registry-signature'], expected);
+  assert.equal(JSON.parse(delivery.body).data.project.id, project.id);
+});
+
+test('retries failed deliveries with backoff and logs every attempt', async () => {
+  const hook = (await subscribe(wallets[1], '/flaky', { events: 'project.created' })).body;
+  flakyFailuresLeft = 2;
+  await createProject(wallets[1], 'Webhook retry target');
+
+  const log = await waitFor(async () => {
+    const res = await api.signed('GET', `/webhooks/${hook.id}/deliveries`, wallets[1], 'webhook.read', hook.id, { owner: wallets[1].address });
+    const [delivery] = res.body.deliveries;
+    return delivery?.status === 'delivered' && delivery;
+  });
+  assert.deepEqual(log.attempts.map(a => a.statusCode), [500, 500, 204]);
+});
+
+test('webhook reads need the owner or the admin key and show only the url origin', async () => {
+  const hook = (await subscribe(wallets[2], '/services/T000/B000/secret-token')).body;
+
+  assert.equal((await api.call('GET', `/webhooks?owner=${wallets[2].address}`)).status, 401);
+  assert.equal((await api.signed('GET', `/webhooks/${hook.id}`, wallets[3], 'webhook.read', hook.id, { owner: wallets[3].address })).status, 403);
+
+  const own = await api.signed('GET', '/webhooks', wallets[2], 'webhook.list', '', { owner: wallets[2].address });
+  assert.equal(own.status, 200);
+  assert.deepEqual(own.body.map(h => h.url), [receiverUrl]);
+  assert.equal(own.body[0].secret, undefined);
+
+  const admin = await api.call('GET', `/webhooks/${hook.id}`, null, { 'x-admin-key': ADMIN_KEY });
+  assert.equal(admin.status, 200);
+  assert.equal(admin.body.url, receiverUrl);
+});
+
+test('caps subscriptions per owner', async () => {
+  const owner = wallets[3];
+  for (let i = 0; i < 3; i++) assert.equal((await subscribe(owner, `/cap${i}`)).status, 201);
+  const res = await subscribe(owner, '/cap3');
+  assert.equal(res.status, 409);
+  assert.match(res.body.error, /limit/);
+});